@@ -0,0 +1,190 @@
+/*
+ *   Copyright (c) 2020 Ratio Software, LLC
+ *   All rights reserved.
+ *   @author Clayton Gulick <clay@ratiosoftware.com>
+ */
+const { resolveSchemaPath, findRefValues } = require('./resolve_schema');
+const { parsePointer } = require('./pointer');
+const { castPathValue } = require('./cast_value');
+const { PatchError, PatchPathError, PatchNotAtomicError } = require('./errors');
+
+/**
+ * Compile a patch into a list of MongoDB update steps, so it can be applied without loading the document.
+ *
+ * Each step targets a single document - the root, or a ref'd document identified by the json pointer to the ref - and has:
+ *  - target: the json pointer to the ref, or '' for the root document
+ *  - model: the ref'd model, or null for the root
+ *  - update: the update document, using $set, $unset and $push
+ *  - conditions: a filter built from 'test' operations, which must match for the update to be applied
+ *  - indexes: the positions in the patch of the operations in the step, and test_indexes for the 'test' operations
+ *
+ * The values of $set and $push go through the same value pipeline as the values of a patch applied to a document, with the casters
+ * option, see castPathValue. Unknown keys are dropped, and a value that can't be cast or fails a validator is a PatchCastError before
+ * anything is written.
+ *
+ * Operations are merged into the same step as long as they don't touch overlapping paths. A 'test' always starts a new step, so
+ * it's checked against the document as modified by the operations before it, and closes the steps of every document, so nothing after
+ * it is written before it's checked. A 'test' that's checked after a change is written, like a test after a change, or a test on
+ * the author before a change to the book, can only fail once the change is persisted, so it needs a transaction to roll the change
+ * back - without options.transaction it's a PatchNotAtomicError.
+ *
+ * Throws a PatchNotAtomicError for the first operation that can't be expressed as an update: move, copy, inserting at an array index
+ * other than the end, removing an array element, and adding an object to a ref path, which would create a new ref'd document.
+ * @param {*} schema the schema of the root document
+ * @param {Array} patch
+ * @param {*} options {casters, transaction}
+ */
+function compileAtomicPatch(schema, patch, options = {}) {
+    let steps = [];
+    let current = {};
+    let written = false;
+
+    let newStep = (target, model) => {
+        let step = {target, model, update: {}, conditions: {}, indexes: [], test_indexes: []};
+        steps.push(step);
+        current[target] = step;
+        return step;
+    };
+
+    for(const [index, item] of patch.entries()) {
+        let {op, path, value} = item;
+        let notAtomic = (reason) => new PatchNotAtomicError("Operation can't be applied atomically, " + reason, {index, operation: item, path});
+
+        if(!['add', 'replace', 'remove', 'test'].includes(op))
+            throw notAtomic(op + " isn't supported");
+
+        let parts = parsePointer(path);
+        if(parts.length == 0)
+            throw notAtomic("the root document can't be replaced");
+        //update operators use dotted paths, and can't have keys with a dot or starting with a $
+        if(parts.some(part => part.includes('.') || part.startsWith('$')))
+            throw notAtomic("keys with a . or starting with a $ can't be used in an update");
+
+        let resolved = resolveSchemaPath(schema, parts);
+        if(resolved.error)
+            throw new PatchPathError(resolved.error.message, {index, operation: item, path});
+        if(resolved.virtual)
+            throw notAtomic("virtual paths need a document");
+
+        //operations past a ref are applied to the ref'd document
+        let ref = resolved.refs[resolved.refs.length - 1];
+        let target = ref ? ref.pointer : '';
+        let local_parts = parts.slice(ref ? ref.index + 1 : 0);
+        let local_path = local_parts.join('.');
+        let step = current[target];
+
+        if(op == 'test') {
+            if(written) {
+                current = {};
+                step = undefined;
+            }
+            if(!step || Object.keys(step.update).length)
+                step = newStep(target, ref ? ref.model : null);
+            step.conditions[local_path] = value;
+            step.indexes.push(index);
+            step.test_indexes.push(index);
+            continue;
+        }
+
+        let operator, operand;
+        if(op == 'remove') {
+            if(resolved.element)
+                throw notAtomic("array elements can't be removed by index");
+            operator = '$unset';
+            operand = '';
+        }
+        else if(resolved.element && (op == 'add')) {
+            if(local_parts[local_parts.length - 1] != '-')
+                throw notAtomic("values can't be inserted at an array index");
+            operator = '$push';
+            local_path = local_parts.slice(0, -1).join('.');
+            operand = value;
+        }
+        else if(resolved.element && (local_parts[local_parts.length - 1] == '-')) {
+            throw new PatchPathError("'-' can only be used with add", {index, operation: item, path});
+        }
+        else {
+            operator = '$set';
+            operand = value;
+        }
+
+        if(op != 'remove' && isNewRef(resolved, value))
+            throw notAtomic("new ref'd documents can't be created");
+        if(op != 'remove') {
+            try {
+                operand = castPathValue(schema, parts, value, {casters: options.casters, op});
+            }
+            catch(err) {
+                if(err instanceof PatchError && typeof err.index == 'undefined')
+                    Object.assign(err, {index, operation: item});
+                throw err;
+            }
+        }
+
+        if(!step || conflicts(step.update, operator, local_path))
+            step = newStep(target, ref ? ref.model : null);
+
+        if(!step.update[operator])
+            step.update[operator] = {};
+        if(operator == '$push') {
+            if(!step.update.$push[local_path])
+                step.update.$push[local_path] = {$each: []};
+            step.update.$push[local_path].$each.push(operand);
+        }
+        else
+            step.update[operator][local_path] = operand;
+        step.indexes.push(index);
+        written = true;
+    }
+
+    if(!options.transaction) {
+        let first_write = steps.findIndex(step => Object.keys(step.update).length);
+        let late = (first_write < 0) ? null :
+            steps.find((step, i) => (i > first_write) && Object.keys(step.conditions).length);
+        if(late) {
+            let index = late.test_indexes[0];
+            throw new PatchNotAtomicError("Operation can't be applied atomically, the test is checked after a change is written, " +
+                "which needs a transaction", {index, operation: patch[index], path: patch[index].path});
+        }
+    }
+
+    return steps;
+}
+
+/**
+ * Adding an object, rather than an id, to a ref path creates or updates a ref'd document, which needs a document to be loaded.
+ * This includes refs nested in subdocs, like a new author in a collaborator.
+ * @param {*} resolved
+ * @param {*} value
+ */
+function isNewRef(resolved, value) {
+    if(resolved.error || resolved.mixed || resolved.virtual)
+        return false;
+    return findRefValues(resolved.schema, resolved.path, {value}, 'value', resolved.element).length > 0;
+}
+
+/**
+ * Check whether a path can be added to an update without conflicting with the paths already in it.
+ * The same path can be $set or $pushed more than once, but otherwise paths in an update can't overlap.
+ * @param {*} update
+ * @param {String} operator
+ * @param {String} path
+ */
+function conflicts(update, operator, path) {
+    for(let existing_operator of Object.keys(update))
+        for(let existing_path of Object.keys(update[existing_operator])) {
+            if(existing_path == path) {
+                if(existing_operator != operator)
+                    return true;
+                continue;
+            }
+            if(existing_path.startsWith(path + '.') || path.startsWith(existing_path + '.'))
+                return true;
+        }
+    return false;
+}
+
+module.exports = {
+    compileAtomicPatch,
+    isNewRef
+};
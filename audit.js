@@ -0,0 +1,118 @@
+/*
+ *   Copyright (c) 2020 Ratio Software, LLC
+ *   All rights reserved.
+ *   @author Clayton Gulick <clay@ratiosoftware.com>
+ */
+const mongoose = require('mongoose');
+const { toJSONValue } = require('./utils');
+
+const DEFAULT_COLLECTION = 'patch_history';
+const DEFAULT_SNAPSHOT_INTERVAL = 25;
+
+/**
+ * One entry per applied patch. document is the _id of the root document, and version counts the audited patches
+ * applied to it, starting at 1. documents lists every document that was saved by the patch, as {model, id, pointer}.
+ * patch is the patch as it was given, and applied is the operations that were actually applied after middleware.
+ * inverse is null for patches applied in atomic mode, which can't be reverted.
+ * Every snapshot_interval versions, snapshot holds the whole root document as it was after the patch, so a version can be
+ * rebuilt without replaying the entire history.
+ */
+let history_schema = new mongoose.Schema({
+    model: {type: String, required: true},
+    document: {type: mongoose.Schema.Types.Mixed, required: true},
+    version: {type: Number, required: true},
+    patch: [],
+    applied: [],
+    inverse: {type: mongoose.Schema.Types.Mixed, default: null},
+    actor: mongoose.Schema.Types.Mixed,
+    documents: [{_id: false, model: String, id: mongoose.Schema.Types.Mixed, pointer: String}],
+    snapshot: mongoose.Schema.Types.Mixed,
+    created_at: {type: Date, default: Date.now}
+}, {versionKey: false, minimize: false});
+history_schema.index({model: 1, document: 1, version: 1}, {unique: true});
+
+/**
+ * Normalize the audit option, which can be true or {collection, snapshot_interval}. Returns null if auditing isn't turned on.
+ * @param {*} audit
+ */
+function auditOptions(audit) {
+    if(!audit)
+        return null;
+    return Object.assign({
+        collection: DEFAULT_COLLECTION,
+        snapshot_interval: DEFAULT_SNAPSHOT_INTERVAL
+    }, audit === true ? {} : audit);
+}
+
+/**
+ * The model for the history collection, on the same connection as the patched documents
+ * @param {*} db the mongoose connection
+ * @param {*} audit normalized audit options
+ */
+function historyModel(db, audit) {
+    let name = 'JSONPatchHistory:' + audit.collection;
+    return db.models[name] || db.model(name, history_schema, audit.collection);
+}
+
+/**
+ * Write a history entry for a patch applied to document, with the next version number for the document.
+ * Two patches recorded at the same time can pick the same version, the unique index catches that and the loser tries the next one.
+ * @param {*} document the root document
+ * @param {*} entry {patch, applied, inverse, actor, documents, snapshot}
+ * @param {*} audit normalized audit options
+ * @param {*} session optional session, so the entry is part of the patch's transaction
+ */
+async function recordHistory(document, entry, audit, session) {
+    let History = historyModel(document.constructor.db, audit);
+    let model = document.constructor.modelName;
+    for(let attempt = 0; ; attempt++) {
+        let last = await History.findOne({model, document: document._id})
+            .sort({version: -1})
+            .select('version')
+            .session(session || null)
+            .lean();
+        let version = last ? last.version + 1 : 1;
+        try {
+            let [created] = await History.create([{
+                model,
+                document: document._id,
+                version,
+                patch: toJSONValue(entry.patch),
+                applied: toJSONValue(entry.applied || entry.patch),
+                inverse: entry.inverse ? toJSONValue(entry.inverse) : null,
+                //a user document is recorded by its id
+                actor: (entry.actor instanceof mongoose.Model) ? entry.actor._id : entry.actor,
+                documents: entry.documents,
+                snapshot: (audit.snapshot_interval && (version % audit.snapshot_interval == 0)) ? entry.snapshot : undefined
+            }], {session: session || null});
+            return created;
+        }
+        catch(err) {
+            //inside a transaction a duplicate key aborts the transaction, so there's no point trying again
+            if(err.code != 11000 || session || attempt >= 4)
+                throw err;
+        }
+    }
+}
+
+/**
+ * Read the history of a document as plain objects, oldest first
+ * @param {*} model the model of the document
+ * @param {*} id the _id of the document
+ * @param {*} audit normalized audit options
+ * @param {*} session
+ */
+async function readHistory(model, id, audit, session) {
+    let History = historyModel(model.db, audit);
+    return await History.find({model: model.modelName, document: id})
+        .sort({version: 1})
+        .session(session || null)
+        .lean();
+}
+
+module.exports = {
+    auditOptions,
+    historyModel,
+    recordHistory,
+    readHistory
+};
@@ -0,0 +1,216 @@
+/*
+ *   Copyright (c) 2020 Ratio Software, LLC
+ *   All rights reserved.
+ *   @author Clayton Gulick <clay@ratiosoftware.com>
+ */
+const mongoose = require('mongoose');
+const { isPlainObject, clonePlain } = require('./utils');
+const { resolveSchemaPath } = require('./resolve_schema');
+const { formatPointer, escapeKey } = require('./pointer');
+const { PatchError, PatchCastError } = require('./errors');
+
+/**
+ * The validators that only look at the value, so they can be checked per operation. Others, like required and custom validators,
+ * may need the rest of the document, and are left for when it's saved.
+ */
+const VALUE_VALIDATORS = ['enum', 'min', 'max', 'minlength', 'maxlength', 'match'];
+
+/**
+ * The name a SchemaType is keyed by in the casters option: its instance, like String or Date, spelled ObjectId for ObjectIds.
+ * Subdocs are keyed by subdocument, see castType.
+ * @param {*} schema_type
+ */
+function typeName(schema_type) {
+    if(schema_type.instance == 'ObjectID')
+        return 'ObjectId';
+    return schema_type.instance;
+}
+
+/**
+ * Convert a value cast by a SchemaType back into a plain value, the way a lean query would return it
+ * @param {*} value
+ */
+function plainValue(value) {
+    if(Buffer.isBuffer(value))
+        return value;
+    if(value && typeof value.toObject == 'function')
+        value = value.toObject({depopulate: true, transform: false, virtuals: false, getters: false, flattenMaps: true});
+    if(value instanceof Map)
+        value = Object.fromEntries(value);
+    return value;
+}
+
+/**
+ * Cast a value that's about to be set at a path, before it's set. This is the value pipeline:
+ *  - the caster for the SchemaType from options.casters is called first, with (value, {path, op, schema_type}), and returns the value
+ *    to use - this is where strings can be trimmed or values normalized
+ *  - the value is cast to the SchemaType
+ *  - the enum, min, max, minlength, maxlength and match validators are checked
+ * Objects are cast member by member, for subdocs, nested paths and Maps, and unknown members are dropped, or rejected when the
+ * schema's strict is 'throw'. Arrays are cast element by element. Mixed paths are kept as they are, and so are paths that aren't in
+ * the schema, mongoose deals with those when they're set. An object for a ref is kept as is, it creates or updates the ref'd document.
+ * With options.plain, the value isn't going to be set on a document, so the setters of the SchemaTypes, like trim and lowercase,
+ * are run while casting, and new subdocs get an _id.
+ *
+ * Throws a PatchCastError for a value that can't be cast or fails a validator. Returns the cast value, as a plain value.
+ * @param {*} schema the schema of the root document
+ * @param {Array} parts the parts of the json pointer to the path
+ * @param {*} value
+ * @param {*} options {casters, op, plain}
+ */
+function castPathValue(schema, parts, value, options = {}) {
+    return castAt(schema, parts, value, formatPointer(parts), options, false);
+}
+
+/**
+ * Cast the value at the parts of a path in a schema, see castPathValue. pointer is the path from the root document, for errors.
+ * member is set when the value is a member of an object being cast, in which case an unknown path is dropped.
+ */
+function castAt(schema, parts, value, pointer, options, member) {
+    if(value === null || typeof value == 'undefined')
+        return value;
+    let resolved = resolveSchemaPath(schema, parts);
+    if(resolved.error) {
+        let strict = resolved.schema.options.strict;
+        if(!member || resolved.error.code != 'unknown_path' || strict === false)
+            return clonePlain(value);
+        if(strict == 'throw')
+            throw new PatchCastError("Path does not exist in schema: " + pointer, {path: pointer, value});
+        return undefined;
+    }
+    if(resolved.mixed || resolved.virtual)
+        return clonePlain(value);
+    if(resolved.nested)
+        return castMembers(value, pointer, (key, child) => castAt(schema, parts.concat(key), child, pointer + '/' + escapeKey(key), options, true));
+    return castType(resolved.schema_type, resolved.element, value, pointer, options);
+}
+
+/**
+ * Cast an object member by member, leaving out the members that were dropped
+ * @param {*} value
+ * @param {String} pointer
+ * @param {Function} castMember casts a member, called with its key and value
+ */
+function castMembers(value, pointer, castMember) {
+    if(value instanceof mongoose.Document)
+        value = value.toObject({depopulate: true, transform: false, virtuals: false, getters: false, flattenMaps: true});
+    if(!isPlainObject(value))
+        throw new PatchCastError("Expected an object at " + pointer, {path: pointer, value});
+    let result = {};
+    for(let key of Object.keys(value)) {
+        let member = castMember(key, value[key]);
+        if(typeof member != 'undefined')
+            result[key] = member;
+    }
+    return result;
+}
+
+/**
+ * Cast a value to a SchemaType, or to an element of it if it's an array
+ * @param {*} schema_type
+ * @param {Boolean} element
+ * @param {*} value
+ * @param {String} pointer
+ * @param {*} options
+ */
+function castType(schema_type, element, value, pointer, options) {
+    let sub_schema = null;
+    if(element && schema_type.$isMongooseDocumentArray)
+        sub_schema = schema_type.schema;
+    else if(element)
+        schema_type = schema_type.caster;
+    else if(schema_type.$isSingleNested)
+        sub_schema = schema_type.schema;
+    let name = sub_schema ? 'subdocument' : typeName(schema_type);
+
+    value = runCaster(options, name, value, {path: pointer, op: options.op, schema_type});
+    if(value === null || typeof value == 'undefined')
+        return value;
+
+    if(sub_schema) {
+        let subdoc = castMembers(value, pointer, (key, child) => castAt(sub_schema, [key], child, pointer + '/' + escapeKey(key), options, true));
+        if(options.plain && !('_id' in subdoc) && sub_schema.path('_id'))
+            subdoc._id = new mongoose.Types.ObjectId();
+        return subdoc;
+    }
+
+    if(schema_type.$isMongooseArray) {
+        if(!Array.isArray(value))
+            throw new PatchCastError("Expected an array at " + pointer, {path: pointer, value});
+        return value.map((item, i) => castType(schema_type, true, item, pointer + '/' + i, options));
+    }
+
+    if(schema_type.instance == 'Map') {
+        if(value instanceof Map)
+            value = Object.fromEntries(value);
+        return castMembers(value, pointer, (key, child) => {
+            if(key.includes('.') || key.startsWith('$'))
+                throw new PatchCastError("Invalid Map key: " + key + ", Map keys can't contain a . or start with a $", {path: pointer, value});
+            let child_pointer = pointer + '/' + escapeKey(key);
+            return schema_type.$__schemaType ? castType(schema_type.$__schemaType, false, child, child_pointer, options) : clonePlain(child);
+        });
+    }
+
+    //an object for a ref creates or updates the ref'd document, and a populated ref is kept populated
+    if(schema_type.options.ref && (isPlainObject(value) || value instanceof mongoose.Model))
+        return value;
+    //{_id} for an id that isn't a ref
+    if(name == 'ObjectId' && isPlainObject(value) && ('_id' in value))
+        value = value._id;
+
+    let cast;
+    try {
+        cast = options.plain ? schema_type.applySetters(value, null) : schema_type.cast(value);
+    }
+    catch(err) {
+        throw new PatchCastError("Cast failed for value " + JSON.stringify(value) + " at path " + pointer + ": " + err.message, {
+            path: pointer,
+            value,
+            cause: err
+        });
+    }
+    checkValidators(schema_type, cast, pointer);
+    return plainValue(cast);
+}
+
+/**
+ * Call the caster for a SchemaType from the casters option, if there is one. Errors other than PatchErrors become PatchCastErrors.
+ * @param {*} options
+ * @param {String} name
+ * @param {*} value
+ * @param {*} context
+ */
+function runCaster(options, name, value, context) {
+    let caster = options.casters && options.casters[name];
+    if(!caster)
+        return value;
+    try {
+        return caster(value, context);
+    }
+    catch(err) {
+        if(err instanceof PatchError)
+            throw err;
+        throw new PatchCastError(err.message, {path: context.path, value, cause: err});
+    }
+}
+
+/**
+ * Check a cast value against the validators of its SchemaType that only need the value, see VALUE_VALIDATORS
+ * @param {*} schema_type
+ * @param {*} value
+ * @param {String} pointer
+ */
+function checkValidators(schema_type, value, pointer) {
+    for(let validator of schema_type.validators || []) {
+        if(!VALUE_VALIDATORS.includes(validator.type) || validator.validator(value))
+            continue;
+        let message = (typeof validator.message == 'string') ?
+            validator.message.replace(/\{PATH\}/g, pointer).replace(/\{VALUE\}/g, String(value)) :
+            "Validator " + validator.type + " failed for value " + JSON.stringify(value) + " at path " + pointer;
+        throw new PatchCastError(message, {path: pointer, value, cause: validator});
+    }
+}
+
+module.exports = {
+    castPathValue
+};
@@ -0,0 +1,137 @@
+/*
+ *   Copyright (c) 2020 Ratio Software, LLC
+ *   All rights reserved.
+ *   @author Clayton Gulick <clay@ratiosoftware.com>
+ */
+
+/**
+ * Base class for everything thrown while applying a patch.
+ * index and operation are the position and contents of the failing operation in the patch, path is the json pointer that failed,
+ * and cause is the underlying error or reason, if there is one. status is the HTTP status code that best describes the failure.
+ */
+class PatchError extends Error {
+    constructor(message, {index, operation, path, cause} = {}) {
+        super(message);
+        this.name = this.constructor.name;
+        this.status = 500;
+        this.index = index;
+        this.operation = operation;
+        this.path = path;
+        this.cause = cause;
+    }
+}
+
+/**
+ * The patch isn't a valid RFC6902 json-patch document. cause is the list of Ajv errors.
+ */
+class PatchValidationError extends PatchError {
+    constructor(message, details) {
+        super(message, details);
+        this.status = 400;
+    }
+}
+
+/**
+ * An operation was rejected by the rules. cause is the list of matching rules, which is empty in whitelist mode.
+ */
+class PatchRuleViolationError extends PatchError {
+    constructor(message, details) {
+        super(message, details);
+        this.status = 403;
+    }
+}
+
+/**
+ * The path of an operation can't be resolved against the document, e.g. an invalid array index or a path that doesn't exist yet.
+ */
+class PatchPathError extends PatchError {
+    constructor(message, details) {
+        super(message, details);
+        this.status = 422;
+    }
+}
+
+/**
+ * A value in an operation can't be cast to the schema type at its path, or fails one of its enum, min, max, length or match
+ * validators. value is the value that failed, and cause is the mongoose error or validator.
+ */
+class PatchCastError extends PatchError {
+    constructor(message, details) {
+        super(message, details);
+        this.status = 422;
+        this.value = details.value;
+    }
+}
+
+/**
+ * Thrown when a 'test' operation doesn't match the document. Per RFC6902 this aborts the whole patch.
+ */
+class PatchTestFailedError extends PatchError {
+    constructor({index, operation, path, expected, actual}) {
+        super("Test operation failed for path: " + path +
+            " expected: " + JSON.stringify(expected) + " actual: " + JSON.stringify(actual),
+            {index, operation, path});
+        this.status = 409;
+        this.expected = expected;
+        this.actual = actual;
+    }
+}
+
+/**
+ * A document touched by the patch failed to save. cause is the error from mongoose, and document is the document that failed.
+ * If the cause is a mongoose ValidationError, path points to the first invalid field, and index to the last operation on it.
+ */
+class PatchSaveError extends PatchError {
+    constructor(message, details) {
+        super(message, details);
+        this.document = details.document;
+        this.status = (details.cause && details.cause.name == 'ValidationError') ? 422 : 500;
+    }
+}
+
+/**
+ * A document was changed by someone else since it was loaded, so saving the patch would overwrite their changes.
+ * document is the stale document, expected is the version it was loaded with, and actual is the current version if it's known.
+ */
+class PatchConflictError extends PatchError {
+    constructor(message, details) {
+        super(message, details);
+        this.status = 409;
+        this.document = details.document;
+        this.expected = details.expected;
+        this.actual = details.actual;
+    }
+}
+
+/**
+ * The document to patch couldn't be found. cause is the filter that was used to look for it.
+ */
+class PatchNotFoundError extends PatchError {
+    constructor(message, details) {
+        super(message, details);
+        this.status = 404;
+    }
+}
+
+/**
+ * The patch can't be applied atomically with update operators, and the atomic option is 'strict'
+ */
+class PatchNotAtomicError extends PatchError {
+    constructor(message, details) {
+        super(message, details);
+        this.status = 422;
+    }
+}
+
+module.exports = {
+    PatchError,
+    PatchValidationError,
+    PatchRuleViolationError,
+    PatchPathError,
+    PatchCastError,
+    PatchTestFailedError,
+    PatchSaveError,
+    PatchConflictError,
+    PatchNotFoundError,
+    PatchNotAtomicError
+};
@@ -0,0 +1,118 @@
+/*
+ *   Copyright (c) 2020 Ratio Software, LLC
+ *   All rights reserved.
+ *   @author Clayton Gulick <clay@ratiosoftware.com>
+ */
+const mongoose = require('mongoose');
+const { toJSONValue, isEqual, isObject } = require('./utils');
+const { escapeKey } = require('./pointer');
+
+/**
+ * Generate a RFC6902 json-patch that will transform document a into document b when applied with JSONPatchMongoose.
+ *
+ * Both sides are normalized before comparison, so a populated ref is equal to its ObjectId, ObjectIds are equal to their
+ * string form, and Dates are compared by value. Array elements are compared by position - subdocuments at the same position
+ * with different _ids are replaced as a whole rather than patched field by field.
+ *
+ * By default the root _id and version key are ignored, pass options.ignore to override this.
+ * @param {*} a the document, or plain object, to diff from
+ * @param {*} b the document, or plain object, to diff to
+ * @param {*} options
+ */
+function generatePatch(a, b, options) {
+    options = Object.assign({
+        ignore: defaultIgnore(a)
+    }, options);
+
+    let patch = [];
+    a = toRootValue(a);
+    b = toRootValue(b);
+    //the roots are diffed field by field even though they have different ids
+    if(isObject(a) && isObject(b))
+        diffObjects(a, b, '', patch, options);
+    else
+        diffValues(a, b, '', patch, options);
+    return patch;
+}
+
+/**
+ * toJSONValue collapses a top level document into its id, since it looks like a populated ref. We want its contents.
+ * @param {*} document
+ */
+function toRootValue(document) {
+    if(document instanceof mongoose.Document)
+        document = document.toObject({depopulate: true, transform: false, virtuals: false, getters: false});
+    return toJSONValue(document);
+}
+
+/**
+ * The paths that aren't diffed by default, these can't be changed by a patch anyway
+ * @param {*} document
+ */
+function defaultIgnore(document) {
+    let ignore = ['/_id'];
+    if(document instanceof mongoose.Document && document.schema.options.versionKey)
+        ignore.push('/' + document.schema.options.versionKey);
+    return ignore;
+}
+
+function diffValues(a, b, pointer, patch, options) {
+    if(isEqual(a, b))
+        return;
+
+    if(isObject(a) && isObject(b) && !isDifferentSubDoc(a, b))
+        return diffObjects(a, b, pointer, patch, options);
+
+    if(Array.isArray(a) && Array.isArray(b))
+        return diffArrays(a, b, pointer, patch, options);
+
+    patch.push({op: 'replace', path: pointer, value: b});
+}
+
+function diffObjects(a, b, pointer, patch, options) {
+    for(let key of Object.keys(a)) {
+        let child_pointer = pointer + '/' + escapeKey(key);
+        if(options.ignore.includes(child_pointer))
+            continue;
+        if(typeof a[key] == 'undefined')
+            continue;
+        if(typeof b[key] == 'undefined')
+            patch.push({op: 'remove', path: child_pointer});
+    }
+
+    for(let key of Object.keys(b)) {
+        let child_pointer = pointer + '/' + escapeKey(key);
+        if(options.ignore.includes(child_pointer))
+            continue;
+        if(typeof b[key] == 'undefined')
+            continue;
+        if(typeof a[key] == 'undefined')
+            patch.push({op: 'add', path: child_pointer, value: b[key]});
+        else
+            diffValues(a[key], b[key], child_pointer, patch, options);
+    }
+}
+
+function diffArrays(a, b, pointer, patch, options) {
+    let common = Math.min(a.length, b.length);
+    for(let i=0; i<common; i++)
+        diffValues(a[i], b[i], pointer + '/' + i, patch, options);
+
+    //remove from the end, so earlier indexes are still valid
+    for(let i=a.length - 1; i>=b.length; i--)
+        patch.push({op: 'remove', path: pointer + '/' + i});
+
+    for(let i=a.length; i<b.length; i++)
+        patch.push({op: 'add', path: pointer + '/-', value: b[i]});
+}
+
+/**
+ * Two subdocs with different ids are different objects, even if they happen to be in the same place, so they're replaced rather than merged
+ * @param {*} a
+ * @param {*} b
+ */
+function isDifferentSubDoc(a, b) {
+    return ('_id' in a) && ('_id' in b) && (a._id !== b._id);
+}
+
+module.exports = generatePatch;
@@ -0,0 +1,112 @@
+/*
+ *   Copyright (c) 2020 Ratio Software, LLC
+ *   All rights reserved.
+ *   @author Clayton Gulick <clay@ratiosoftware.com>
+ */
+const JSONPatchMongoose = require('./json_patch_mongoose');
+const { resolveSchemaPath } = require('./resolve_schema');
+const { isNewRef } = require('./atomic');
+const { parsePointer } = require('./pointer');
+const { auditOptions, historyModel } = require('./audit');
+const { PatchError, PatchNotFoundError } = require('./errors');
+
+/**
+ * Rebuild a document as it was after the given version of its audit history, without saving anything.
+ *
+ * The document is rebuilt from whichever is closer: the nearest snapshot at or before the version, replaying the applied
+ * operations forward, or the current document, applying the inverses of the later patches backwards. Reverting needs the
+ * current document to exist and every later patch to have an inverse, so atomic patches force a replay from a snapshot.
+ *
+ * Only the document's own fields are rebuilt. Operations that went through a ref changed the ref'd document, not this one,
+ * so they're skipped, as are 'test' operations.
+ * @param {*} model
+ * @param {*} id the _id of the root document
+ * @param {Number} version 0 is the document before the first audited patch
+ * @param {*} options {audit, session}
+ */
+async function atVersion(model, id, version, options = {}) {
+    let History = historyModel(model.db, auditOptions(options.audit || true));
+    let session = options.session || null;
+    let filter = {model: model.modelName, document: id};
+
+    let latest = await History.findOne(filter).sort({version: -1}).select('version').session(session).lean();
+    let latest_version = latest ? latest.version : 0;
+    if(!Number.isInteger(version) || version < 0 || version > latest_version)
+        throw new PatchNotFoundError("No version " + version + " in the history of " + model.modelName + " " + id, {cause: version});
+
+    let snapshot = await History.findOne(Object.assign({version: {$lte: version}, snapshot: {$exists: true}}, filter))
+        .sort({version: -1})
+        .select('version snapshot')
+        .session(session)
+        .lean();
+
+    if(!snapshot || (latest_version - version) < (version - snapshot.version)) {
+        let entries = await History.find(Object.assign({version: {$gt: version}}, filter))
+            .sort({version: -1})
+            .select('version inverse')
+            .session(session)
+            .lean();
+        let document = await model.findById(id).session(session);
+        if(document && entries.every(entry => entry.inverse))
+            return await replay(document, [].concat(...entries.map(entry => entry.inverse)));
+        if(!snapshot)
+            throw new PatchError("Version " + version + " of " + model.modelName + " " + id + " can't be rebuilt, " +
+                (document ? "it's followed by atomic patches that can't be reverted" : "the document no longer exists"), {cause: version});
+    }
+
+    let entries = await History.find(Object.assign({version: {$gt: snapshot.version, $lte: version}}, filter))
+        .sort({version: 1})
+        .select('version applied')
+        .session(session)
+        .lean();
+    return await replay(model.hydrate(snapshot.snapshot), [].concat(...entries.map(entry => entry.applied)));
+}
+
+/**
+ * Rebuild a document as it was at a point in time, see atVersion
+ * @param {*} model
+ * @param {*} id the _id of the root document
+ * @param {Date} date
+ * @param {*} options {audit, session}
+ */
+async function asOf(model, id, date, options = {}) {
+    let History = historyModel(model.db, auditOptions(options.audit || true));
+    let entry = await History.findOne({model: model.modelName, document: id, created_at: {$lte: new Date(date)}})
+        .sort({version: -1})
+        .select('version')
+        .session(options.session || null)
+        .lean();
+    return await atVersion(model, id, entry ? entry.version : 0, options);
+}
+
+/**
+ * Apply stored operations to an in memory document, skipping the ones that belong to other documents.
+ * The operations were checked against the schema annotations when they were applied, and there's no user to check them for
+ * now, so the annotations are skipped.
+ * @param {*} document
+ * @param {Array} patch
+ */
+async function replay(document, patch) {
+    let schema = document.schema;
+    let operations = patch.filter(item => {
+        if(item.op == 'test')
+            return false;
+        for(let path of [item.path, item.from]) {
+            if(typeof path == 'undefined')
+                continue;
+            let resolved = resolveSchemaPath(schema, parsePointer(path));
+            if(resolved.refs.length)
+                return false;
+        }
+        //adding an object to a ref path created a new document, the link to it isn't recorded
+        return !(item.op != 'remove' && isNewRef(resolveSchemaPath(schema, parsePointer(item.path)), item.value));
+    });
+    let patcher = new JSONPatchMongoose(schema, {autosave: false, autopopulate: false, schema_rules: false});
+    await patcher.apply(operations, document);
+    return document;
+}
+
+module.exports = {
+    atVersion,
+    asOf
+};
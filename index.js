@@ -1,16 +1,240 @@
 const JSONPatchMongoose = require('./json_patch_mongoose');
+const generatePatch = require('./generate_patch');
+const transform = require('./transform');
+const createPatchHandler = require('./patch_handler');
+const { compileSchemaRules } = require('./schema_rules');
+const { auditOptions, recordHistory, readHistory } = require('./audit');
+const { atVersion, asOf } = require('./history');
+const { PatchError, PatchNotFoundError, PatchNotAtomicError } = require('./errors');
 
 /**
  * Plugin method def
+ * jsonPatch resolves to the inverse patch, which can be applied later to undo the change
  * @param {*} schema 
  * @param {*} options 
  */
 async function plugin(schema, schema_level_options) {
+    //patch: annotations on the schema paths, ref'd schemas are compiled when they're first patched through
+    compileSchemaRules(schema);
+    //so patches applied through a ref to this model follow its rules and middleware
+    JSONPatchMongoose.registerOptions(schema, schema_level_options);
+
+    /**
+     * The options for the instance methods. Retrying a conflicting patch reloads the document and patches the reloaded copy, which
+     * would leave this instance with the failed attempt and the old version, so retries are only allowed by the statics, which
+     * resolve to the copy.
+     */
+    function methodOptions(options) {
+        options = options || schema_level_options;
+        let optimistic = options && options.optimistic;
+        if(optimistic && optimistic.retries && (typeof optimistic.version == 'undefined'))
+            throw new PatchError("optimistic.retries can't be used with jsonPatch or mergePatch, a retry patches a reloaded copy of " +
+                "the document - use jsonPatchById or jsonPatchOne instead");
+        return options;
+    }
+
     schema.methods.jsonPatch = async function(patch, options) {
         let document = this;
-        let patcher = new JSONPatchMongoose(schema, options || schema_level_options);
-        await patcher.apply(patch, document);
+        let patcher = new JSONPatchMongoose(schema, methodOptions(options));
+        return await patcher.apply(patch, document);
+    }
+
+    /**
+     * Apply a RFC7396 merge patch, by converting it into json-patch operations, so rules, middleware and autosave all work the same way.
+     * Resolves to what jsonPatch resolves to.
+     */
+    schema.methods.mergePatch = async function(merge, options) {
+        let document = this;
+        let patcher = new JSONPatchMongoose(schema, methodOptions(options));
+        let patch = await patcher.mergeToPatch(merge, document);
+        return await patcher.apply(patch, document);
+    }
+
+    /**
+     * Generate a patch that will transform this document into the other document
+     */
+    schema.methods.jsonDiff = function(other, options) {
+        return generatePatch(this, other, options);
+    }
+
+    /**
+     * The history of audited patches applied to this document, oldest first.
+     * This reads from the history collection in options.audit, or the default collection if auditing isn't configured.
+     */
+    schema.methods.patchHistory = async function(options) {
+        options = options || schema_level_options || {};
+        return await readHistory(this.constructor, this._id, auditOptions(options.audit || true), options.session);
+    }
+
+    /**
+     * Undo every audited patch applied after version, by applying their inverses newest first. Version 0 is the document before
+     * the first audited patch. The revert is a patch like any other, so it goes through the rules and middleware, and is audited too.
+     * The schema annotations are checked against the operations being undone rather than their inverses, since an inverse is often a
+     * different op - undoing a replace of an unset path is a remove, which an annotation that only allows replace would reject.
+     * Resolves to what jsonPatch resolves to.
+     */
+    schema.methods.revertTo = async function(version, options) {
+        options = options || schema_level_options || {};
+        let history = await readHistory(this.constructor, this._id, auditOptions(options.audit || true), options.session);
+        let latest = history.length ? history[history.length - 1].version : 0;
+        if(!Number.isInteger(version) || version < 0 || version > latest)
+            throw new PatchNotFoundError("No version " + version + " in the history of " + this.constructor.modelName + " " + this._id, {cause: version});
+
+        let entries = history.filter(entry => entry.version > version).reverse();
+        let atomic = entries.find(entry => !entry.inverse);
+        if(atomic)
+            throw new PatchError("Version " + atomic.version + " was applied atomically and can't be reverted", {cause: atomic});
+
+        let patch = [].concat(...entries.map(entry => entry.inverse));
+        if(!patch.length)
+            return [];
+        let patcher = new JSONPatchMongoose(schema, options);
+        for(let entry of entries)
+            for(let item of entry.applied) {
+                let error = patcher.schemaRuleError(item);
+                if(error)
+                    throw error;
+            }
+        return await this.jsonPatch(patch, Object.assign({}, options, {schema_rules: false}));
+    }
+
+    /**
+     * Rebuild a document as it was after a version of its audit history, see history.js. Resolves to an unsaved document.
+     */
+    schema.statics.atVersion = async function(id, version, options) {
+        return await atVersion(this, id, version, options || schema_level_options || {});
+    }
+
+    /**
+     * Rebuild a document as it was at a point in time, see history.js. Resolves to an unsaved document.
+     */
+    schema.statics.asOf = async function(id, date, options) {
+        return await asOf(this, id, date, options || schema_level_options || {});
+    }
+
+    /**
+     * Apply a patch to a plain object, like the result of a lean query or cached JSON, without hydrating a document.
+     * Resolves to a patched copy of the object, which is only written back to the collection with the replace_one option.
+     */
+    schema.statics.applyPatchToObject = async function(object, patch, options) {
+        return await JSONPatchMongoose.applyToPlain(this, object, patch, options || schema_level_options);
+    }
+
+    /**
+     * Patches applied without autosave keep the ref'd documents they created or updated on the document that links them,
+     * they're saved first so the document never links to a document that doesn't exist
+     */
+    schema.pre('save', async function() {
+        let pending = this.$locals.pending_refs;
+        if(!pending || !pending.length)
+            return;
+        this.$locals.pending_refs = [];
+        for(let document of pending) {
+            if(this.$session())
+                document.$session(this.$session());
+            await document.save();
+        }
+    });
+
+    /**
+     * Patches applied without autosave keep their history entry on the document until it's saved
+     */
+    schema.post('save', async function() {
+        let pending = this.$locals.pending_history;
+        if(!pending || !pending.length)
+            return;
+        this.$locals.pending_history = [];
+        for(let {entry, audit} of pending)
+            await recordHistory(this, entry, audit, this.$session());
+    });
+
+    /**
+     * The statics load, patch and save, so autosave is always on
+     */
+    function staticOptions(options) {
+        return Object.assign({}, options || schema_level_options, {autosave: true});
+    }
+
+    /**
+     * Load a document by id, apply the patch and save it.
+     * Resolves to {document, result} where result is what jsonPatch resolves to, throws a PatchNotFoundError if there's no such document.
+     */
+    schema.statics.jsonPatchById = async function(id, patch, options) {
+        return await this.jsonPatchOne({_id: id}, patch, options);
+    }
+
+    /**
+     * Load the first document matching the filter, apply the patch and save it.
+     * Resolves to {document, result} where result is what jsonPatch resolves to, throws a PatchNotFoundError if there's no such document.
+     */
+    schema.statics.jsonPatchOne = async function(filter, patch, options) {
+        options = staticOptions(options);
+        //a dry run checks the patch against the document, so it's never atomic
+        if(options.atomic && !(options.dry_run || options.dryRun)) {
+            //in atomic mode the result is the list of updates that were run
+            let patcher = new JSONPatchMongoose(schema, options);
+            try {
+                let {document, updates} = await patcher.applyAtomic(this, filter, patch);
+                return {document, result: updates};
+            }
+            catch(err) {
+                //fall back to loading the document, unless we've been told not to
+                if(!(err instanceof PatchNotAtomicError) || (options.atomic == 'strict'))
+                    throw err;
+            }
+        }
+        let document = await this.findOne(filter).session(options.session || null);
+        if(!document)
+            throw new PatchNotFoundError("No " + this.modelName + " found to patch", {cause: filter});
+        let patcher = new JSONPatchMongoose(schema, options);
+        let result = await patcher.apply(patch, document);
+        //the patcher may have reloaded the document to retry
+        return {document: patcher.document, result};
+    }
+
+    /**
+     * Apply the patch to every document matching the filter, saving each one. Documents are patched independently, with
+     * up to options.concurrency (default 1) in progress at a time, and a failure on one document doesn't stop the others.
+     * Resolves to {documents, results, errors}, where results has an entry of {document, result, error} for every matching document,
+     * documents are the successfully patched documents, and errors are the errors from the documents that failed.
+     */
+    schema.statics.jsonPatchMany = async function(filter, patch, options) {
+        options = staticOptions(options);
+        let documents = await this.find(filter).session(options.session || null);
+        let results = new Array(documents.length);
+        let next = 0;
+
+        let worker = async () => {
+            while(next < documents.length) {
+                let index = next++;
+                let patcher = new JSONPatchMongoose(schema, options);
+                try {
+                    //middleware may change the patch items, so every document gets its own copy
+                    let result = await patcher.apply(patch.map(item => Object.assign({}, item)), documents[index]);
+                    results[index] = {document: patcher.document, result};
+                }
+                catch(error) {
+                    results[index] = {document: documents[index], error};
+                }
+            }
+        };
+
+        let concurrency = Math.max(1, Math.min(options.concurrency || 1, documents.length));
+        let workers = [];
+        for(let i=0; i<concurrency; i++)
+            workers.push(worker());
+        await Promise.all(workers);
+
+        return {
+            documents: results.filter(item => !item.error).map(item => item.document),
+            results,
+            errors: results.filter(item => item.error).map(item => item.error)
+        };
     }
 }
 
-module.exports = plugin;
\ No newline at end of file
+module.exports = plugin;
+module.exports.generatePatch = generatePatch;
+module.exports.transform = transform;
+module.exports.createPatchHandler = createPatchHandler;
+Object.assign(module.exports, require('./errors'));
\ No newline at end of file
@@ -4,10 +4,144 @@
  *   @author Clayton Gulick <clay@ratiosoftware.com>
  */
 const mongoose = require('mongoose');
-const assert = require('assert');
 const patch_schema = require('./schema.json');
 const JSONPatchRules = require('json-patch-rules');
 const Ajv = require('ajv');
+const { toJSONValue, isPlainObject, clonePlain, isEqual } = require('./utils');
+const { refModel, resolveSchemaPath, findRefValues } = require('./resolve_schema');
+const { compileAtomicPatch } = require('./atomic');
+const { auditOptions, recordHistory } = require('./audit');
+const mergeToPatch = require('./merge_patch');
+const { checkSchemaRules } = require('./schema_rules');
+const { castPathValue } = require('./cast_value');
+const { parsePointer, formatPointer, escapeKey, childValue, readParts } = require('./pointer');
+const {
+    PatchError,
+    PatchValidationError,
+    PatchRuleViolationError,
+    PatchPathError,
+    PatchCastError,
+    PatchTestFailedError,
+    PatchSaveError,
+    PatchConflictError,
+    PatchNotFoundError,
+    PatchNotAtomicError
+} = require('./errors');
+
+/**
+ * Read a dotted path from a plain object
+ * @param {*} object 
+ * @param {String} field 
+ */
+function readField(object, field) {
+    return field.split('.').reduce((value, part) => (value === null || typeof value != 'object') ? undefined : value[part], object);
+}
+
+/**
+ * The model of the refs in a mongoose array, or null if it isn't an array of refs
+ * @param {*} array 
+ */
+function arrayRefModel(array) {
+    let schema_type = array.$schema ? array.$schema() : array._schema;
+    let caster = schema_type && schema_type.caster;
+    return (caster && caster.options && refModel(caster.options.ref)) || null;
+}
+
+/**
+ * Take a value out of a document, so it can be set somewhere else without being shared between the two places.
+ * Subdocs and arrays become plain objects, and populated refs stay linked to the same ref'd document.
+ * @param {*} value 
+ * @param {Boolean} keep_ids false to drop the _ids of subdocs, so a copy gets new ones
+ */
+function detachValue(value, keep_ids) {
+    if(value instanceof mongoose.Model)
+        return value;
+    if(value instanceof mongoose.Document || (Array.isArray(value) && value.isMongooseArray))
+        return value.toObject({
+            depopulate: true,
+            virtuals: false,
+            getters: false,
+            flattenMaps: false,
+            transform: keep_ids ? false : (document, result) => {
+                delete result._id;
+                return result;
+            }
+        });
+    if(value instanceof Map)
+        return new Map(Array.from(value, ([key, element]) => [key, detachValue(element, keep_ids)]));
+    if(Array.isArray(value))
+        return value.map(element => detachValue(element, keep_ids));
+    if(value instanceof Date)
+        return new Date(value.getTime());
+    if(isPlainObject(value)) {
+        let result = {};
+        for(let key of Object.keys(value))
+            result[key] = detachValue(value[key], keep_ids);
+        return result;
+    }
+    return value;
+}
+
+/**
+ * The JSONPatchRules for the registered options of a ref'd model's schema, or null if it has no rules
+ * @param {*} schema 
+ */
+function refRules(schema) {
+    let options = registered_options.get(schema);
+    if(!options || !options.rules)
+        return null;
+    if(!registered_rules.has(options))
+        registered_rules.set(options, new JSONPatchRules(options.rules, {mode: options.rules_mode}));
+    return registered_rules.get(options);
+}
+
+/**
+ * Make the paths of an item relative to the ref'd document at prefix, for that model's middleware
+ * @param {*} item 
+ * @param {String} prefix 
+ */
+function relativeItem(item, prefix) {
+    if(!prefix)
+        return item;
+    let relative = Object.assign({}, item, {path: item.path.slice(prefix.length)});
+    if(typeof item.from != 'undefined')
+        relative.from = item.from.slice(prefix.length);
+    return relative;
+}
+
+/**
+ * The reverse of relativeItem, for items handed back by a ref'd model's middleware
+ * @param {*} item 
+ * @param {String} prefix 
+ */
+function absoluteItem(item, prefix) {
+    if(!prefix || !item)
+        return item;
+    let absolute = Object.assign({}, item, {path: prefix + item.path});
+    if(typeof item.from != 'undefined')
+        absolute.from = prefix + item.from;
+    return absolute;
+}
+
+/**
+ * Match a pointer against a pointer pattern from the options, where a pattern starting with ^/ is a regex, like in the rules,
+ * and a * part matches any single part of the pointer, like an array index
+ * @param {String} pattern 
+ * @param {String} pointer 
+ */
+function matchesPointer(pattern, pointer) {
+    if(pattern.indexOf('^/') == 0)
+        return new RegExp(pattern).test(pointer);
+    let pattern_parts = pattern.split('/');
+    let parts = pointer.split('/');
+    return (pattern_parts.length == parts.length) && pattern_parts.every((part, i) => (part == '*') || (part == parts[i]));
+}
+
+/**
+ * The plugin options of each schema the plugin was added to, used for the rules and middleware of ref'd models
+ */
+let registered_options = new WeakMap();
+let registered_rules = new WeakMap();
 
 let ajv = new Ajv();
 let validate = ajv.compile(patch_schema); //run sync at startup time
@@ -16,15 +150,56 @@ let validate = ajv.compile(patch_schema); //run sync at startup time
  * Utility class for applying a RFC6902 compliant json-patch transformation to a mongoose model.
  */
 class JSONPatchMongoose {
+    /**
+     * Remember the plugin options for a schema, so that patches through refs to its models use its rules and middleware
+     * @param {*} schema 
+     * @param {*} options 
+     */
+    static registerOptions(schema, options) {
+        if(options)
+            registered_options.set(schema, options);
+    }
+
+    /**
+     * The plugin options registered for a schema, if any
+     * @param {*} schema 
+     */
+    static registeredOptions(schema) {
+        return registered_options.get(schema);
+    }
+
+    /**
+     * Apply a patch to a plain object, like the result of a lean query, with the rules, middleware and casting of a model's documents.
+     * Resolves to a patched copy of the object, see plain_patch.js.
+     * @param {*} model 
+     * @param {*} object 
+     * @param {Array} patch 
+     * @param {*} options 
+     */
+    static async applyToPlain(model, object, patch, options) {
+        //plain_patch.js extends this class, so it can't be required before it's defined
+        const JSONPatchPlain = require('./plain_patch');
+        let patcher = new JSONPatchPlain(model, options);
+        return await patcher.applyToObject(patch, object);
+    }
+
     constructor(schema, options) {
         this.schema = schema;
         this.options = Object.assign({
             autosave: false,
             autopopulate: true
         },options);
+        //dryRun is accepted as an alias of dry_run
+        if(typeof this.options.dry_run == 'undefined' && typeof this.options.dryRun != 'undefined')
+            this.options.dry_run = this.options.dryRun;
+        //and maxDepth as an alias of populate.max_depth
+        let populate = this.options.populate;
+        if(populate && typeof populate.max_depth == 'undefined' && typeof populate.maxDepth != 'undefined')
+            this.options.populate = Object.assign({}, populate, {max_depth: populate.maxDepth});
         if(options.rules)
             this.patch_rules = new JSONPatchRules(options.rules, {mode: options.rules_mode});
         this.save_queue = [];
+        this.inverse = [];
     }
 
     /**
@@ -39,157 +214,1266 @@ class JSONPatchMongoose {
     }
 
     /**
-     * Apply a patch to a mongoose document, optionally with a set of rules that specify allowed fields.
+     * Convert an Ajv error into a PatchValidationError that points at the invalid operation
+     * @param {*} patch 
+     * @param {*} error 
+     */
+    validationError(patch, error) {
+        //ajv data paths look like '[3].op'
+        let match = /^\[(\d+)\]/.exec(error.dataPath);
+        let index = match ? parseInt(match[1]) : undefined;
+        return new PatchValidationError("Invalid json-patch: " + (error.dataPath || 'patch') + " " + error.message, {
+            index,
+            operation: match ? patch[index] : undefined,
+            path: (match && patch[index]) ? patch[index].path : undefined,
+            cause: this.errors
+        });
+    }
+
+    /**
+     * Check a patch against the document and its schema without modifying or saving anything - a dry run.
+     * Every path is resolved against the schema, including through refs, and the operation values are cast to the schema types.
+     * Refs are loaded to check array indexes, but the document itself isn't populated.
+     *
+     * Resolves to a report with an entry per operation: {index, op, path, valid, errors}, where errors is a list of {code, message, path}
+     * and code is one of 'invalid', 'rule', 'unknown_path', 'index', 'cast' or 'required'.
+     * Operations with a matching middleware aren't checked against the schema, since the middleware may handle virtual paths.
      * @param {*} patch 
      * @param {*} document 
-     * @param {*} rules 
      */
-    async apply(patch, document) {
-        //first, verify the patch is a valid RFC6902 json-patch document
+    async check(patch, document) {
+        this.schema = document.schema;
+        this.document = document;
+        this.loaded_refs = new Map();
+
+        if(!Array.isArray(patch))
+            throw new PatchValidationError("Invalid json-patch: patch should be an array", {cause: patch});
+
+        let report = patch.map((item, index) => ({
+            index,
+            op: item && item.op,
+            path: item && item.path,
+            valid: true,
+            errors: []
+        }));
+
         if(!this.validate(patch))
-            throw new Error(JSON.stringify(this.errors));
+            for(let error of this.errors) {
+                let match = /^\[(\d+)\]/.exec(error.dataPath);
+                //ajv reports every failing branch of the oneOf, the first is enough
+                if(match && report[parseInt(match[1])].errors.length == 0)
+                    report[parseInt(match[1])].errors.push({code: 'invalid', message: error.dataPath + " " + error.message});
+            }
 
-        //next, make sure it passes all rules
-        if(this.patch_rules)
-            if(!this.patch_rules.check(patch))
-                throw new Error("Patch failed rule check");
+        let array_lengths = {};
+        for(let entry of report) {
+            let item = patch[entry.index];
+            let pointer_error = (entry.errors.length == 0) && this.pointerError(item, entry.index);
+            if(pointer_error)
+                entry.errors.push({code: 'invalid', message: pointer_error.message, path: pointer_error.path});
+            else if(entry.errors.length == 0) {
+                let rule_error = this.ruleError(item, entry.index);
+                if(rule_error)
+                    entry.errors.push({code: 'rule', message: rule_error.message, path: rule_error.path});
+                else if(!this.findMiddleware(item).handler)
+                    await this.checkOperation(item, entry.errors, array_lengths);
+            }
+            entry.valid = (entry.errors.length == 0);
+        }
+        return report;
+    }
 
+    /**
+     * Check a single operation for the dry run. array_lengths keeps track of how earlier operations in the patch have changed array lengths.
+     * @param {*} item 
+     * @param {Array} errors 
+     * @param {*} array_lengths 
+     */
+    async checkOperation(item, errors, array_lengths) {
+        let {op, path, from, value} = item;
+        let error_count = errors.length;
+        if(op == 'move' && path.startsWith(from + '/'))
+            return errors.push({code: 'invalid', message: "Can't move a value into itself, from: " + from + " is a prefix of path: " + path, path});
+        let targets = {path};
+        if(from)
+            targets.from = from;
+
+        let resolved = {};
+        let pointers = {};
+        for(let key of Object.keys(targets)) {
+            let pointer;
+            try {
+                pointer = await this.resolveKeys(targets[key], prefix => this.readPointer(prefix));
+            }
+            catch(err) {
+                if(!(err instanceof PatchPathError))
+                    throw err;
+                errors.push({code: 'index', message: err.message, path: targets[key]});
+                continue;
+            }
+            let parts = parsePointer(pointer);
+            pointers[key] = pointer;
+            resolved[key] = resolveSchemaPath(this.schema, parts);
+            let error = resolved[key].error;
+            if(error) {
+                if(!(error.code == 'unknown_path' && resolved[key].schema.options.strict === false))
+                    errors.push(Object.assign({path: pointer}, error));
+                continue;
+            }
+
+            //make sure every array index in the path is in range
+            let inserting = (key == 'path') && ['add', 'move', 'copy'].includes(op);
+            for(let array of resolved[key].arrays) {
+                let index = parts[array.index];
+                let is_leaf = (array.index == parts.length - 1);
+                let length = await this.checkArrayLength(array.pointer, array_lengths);
+                if(typeof length == 'undefined')
+                    continue;
+                let max = (inserting && is_leaf) ? length : length - 1;
+                if(index == '-' ? !(inserting && is_leaf) : (parseInt(index) > max))
+                    errors.push({code: 'index', message: "Array index out of range: " + index + " at " + array.pointer, path: pointer});
+            }
+        }
+
+        if(errors.length > error_count)
+            return;
+
+        let target = resolved.path;
+        if(['add', 'replace'].includes(op)) {
+            let message = this.checkCast(pointers.path, value, op);
+            if(message)
+                errors.push({code: 'cast', message, path});
+        }
+        if(['remove', 'move'].includes(op)) {
+            let source = (op == 'move') ? resolved.from : target;
+            if(!source.element && source.schema_type && source.schema_type.isRequired)
+                errors.push({code: 'required', message: "Can't remove required path: " + (from || path), path: from || path});
+        }
+
+        //track array length changes for the rest of the patch
+        let adjust = (resolved_path, delta) => {
+            if(!resolved_path.element)
+                return;
+            let array = resolved_path.arrays[resolved_path.arrays.length - 1];
+            if(typeof array_lengths[array.pointer] != 'undefined')
+                array_lengths[array.pointer] += delta;
+        }
+        if(op == 'remove')
+            adjust(target, -1);
+        if(op == 'move')
+            adjust(resolved.from, -1);
+        if(['add', 'move', 'copy'].includes(op))
+            adjust(target, 1);
+    }
+
+    /**
+     * Run a value through the value pipeline for the dry run, returning an error message if it can't be cast or fails a validator
+     * @param {String} pointer 
+     * @param {*} value 
+     * @param {String} op 
+     */
+    checkCast(pointer, value, op) {
+        try {
+            this.castValue(pointer, value, op);
+        }
+        catch(err) {
+            if(!(err instanceof PatchCastError))
+                throw err;
+            return err.message;
+        }
+    }
+
+    /**
+     * Find the length of the array at a pointer, reading through refs without populating them on the document
+     * @param {String} pointer 
+     * @param {*} array_lengths 
+     */
+    async checkArrayLength(pointer, array_lengths) {
+        if(!(pointer in array_lengths)) {
+            let value = await this.readPointer(pointer);
+            array_lengths[pointer] = Array.isArray(value) ? value.length : undefined;
+        }
+        return array_lengths[pointer];
+    }
+
+    /**
+     * Read the value at a json pointer. Unpopulated refs along the way are loaded from the database, rather than populated.
+     * @param {String} pointer 
+     */
+    async readPointer(pointer) {
+        let parts = parsePointer(pointer);
+        let resolved = resolveSchemaPath(this.schema, parts);
+        let value = this.document;
+        for(let i=0; i<parts.length; i++) {
+            if(value === null || typeof value == 'undefined')
+                return undefined;
+            value = childValue(value, parts[i]);
+
+            let ref = resolved.refs.find(ref => ref.index == i);
+            if(ref && value instanceof mongoose.Types.ObjectId) {
+                let key = ref.model.modelName + ':' + value.toString();
+                if(!this.loaded_refs.has(key))
+                    this.loaded_refs.set(key, await ref.model.findById(value));
+                value = this.loaded_refs.get(key);
+            }
+        }
+        return value;
+    }
+
+    /**
+     * Convert a RFC7396 merge patch into json-patch operations against the document, see merge_patch.js.
+     * The current values are read like the dry run does, so refs are loaded but the document isn't populated.
+     * @param {*} merge 
+     * @param {*} document 
+     */
+    async mergeToPatch(merge, document) {
         this.schema = document.schema;
-        this.save_queue = [document];
         this.document = document;
-        for (const item of patch) {
-            let {op, path} = item;
-
-            let middleware_handler;
-            let matches;
-
-            //check to see if we have any middleware defined
-            if(this.options.middleware)
-                for(let middleware of this.options.middleware) {
-                    let op_matches;
-                    if(Array.isArray(middleware.op)) 
-                        op_matches = middleware.op.includes(op);
-                    else
-                        op_matches = (middleware.op == op)
-                    if(op_matches) {
-                        if(!middleware.regex)
-                            middleware.regex = new RegExp(middleware.path);
-                        matches = middleware.regex.exec(path);
-                        if(matches) {
-                            middleware_handler = middleware.handler;
-                            break;
-                        }
+        this.loaded_refs = new Map();
+        return await mergeToPatch(merge, pointer => this.readPointer(pointer));
+    }
+
+    /**
+     * Verify that the patch is a valid RFC6902 json-patch document, and that it passes all rules, throwing if it doesn't
+     * @param {*} patch 
+     */
+    checkPatch(patch) {
+        if(!this.validate(patch))
+            throw this.validationError(patch, this.errors[0]);
+
+        for (const [index, item] of patch.entries()) {
+            let error = this.pointerError(item, index) || this.ruleError(item, index);
+            if(error)
+                throw error;
+        }
+    }
+
+    /**
+     * Check that the path and from of an operation are valid json pointers, see parsePointer.
+     * Returns a PatchPathError, or null if they are.
+     * @param {*} item 
+     * @param {Number} index 
+     */
+    pointerError(item, index) {
+        for(let pointer of [item.path, item.from]) {
+            if(typeof pointer == 'undefined')
+                continue;
+            try {
+                parsePointer(pointer);
+            }
+            catch(err) {
+                if(!(err instanceof PatchPathError))
+                    throw err;
+                return Object.assign(err, {index, operation: item});
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Check an operation against everything that can forbid it: the rules, the patch annotations in the schema,
+     * and the rules of the ref'd models it goes through. Returns a PatchRuleViolationError, or null if the operation is allowed.
+     * @param {*} item 
+     * @param {Number} index 
+     */
+    ruleError(item, index) {
+        if(this.patch_rules && !this.patch_rules.checkOperation(item))
+            return new PatchRuleViolationError("Patch failed rule check for path: " + item.path, {
+                index,
+                operation: item,
+                path: item.path,
+                cause: this.patch_rules.findRules(item)
+            });
+        return this.schemaRuleError(item, index) || this.refRuleError(item, index) || this.populateError(item, index);
+    }
+
+    /**
+     * Check an operation that goes through refs against the cross_document option, and against the rules of each ref'd model,
+     * using the path relative to the ref'd document - so the Author's rules see /publisher when a Book is patched at /author/publisher.
+     * The from of a move is checked as a remove, the from of a copy is only read.
+     * @param {*} item 
+     * @param {Number} index 
+     */
+    refRuleError(item, index) {
+        let targets = [{op: item.op, pointer: item.path}];
+        if(item.op == 'move')
+            targets.push({op: 'remove', pointer: item.from});
+
+        for(let target of targets) {
+            let parts = parsePointer(target.pointer);
+            for(let ref of resolveSchemaPath(this.schema, parts).refs) {
+                if(item.op != 'test' && !this.crossDocumentAllowed(ref.pointer))
+                    return new PatchRuleViolationError("Patch can't change the ref'd document at " + ref.pointer, {
+                        index,
+                        operation: item,
+                        path: target.pointer
+                    });
+
+                let rules = refRules(ref.model.schema);
+                if(!rules)
+                    continue;
+                let relative = Object.assign({}, item, {op: target.op, path: formatPointer(parts.slice(ref.index + 1))});
+                delete relative.from;
+                if(!rules.checkOperation(relative))
+                    return new PatchRuleViolationError("Patch failed " + ref.model.modelName + " rule check for path: " + relative.path, {
+                        index,
+                        operation: item,
+                        path: target.pointer,
+                        cause: rules.findRules(relative)
+                    });
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Check that the refs an operation goes through can be populated under the populate option, see populateAllowed.
+     * Unlike cross_document this covers test operations and the from of a copy, since reading through a ref populates it too.
+     * Returns a PatchRuleViolationError, or null if the operation is allowed.
+     * @param {*} item 
+     * @param {Number} index 
+     */
+    populateError(item, index) {
+        if(!this.options.autopopulate || !this.options.populate)
+            return null;
+        for(let pointer of [item.path, item.from]) {
+            if(typeof pointer == 'undefined')
+                continue;
+            let ref = resolveSchemaPath(this.schema, parsePointer(pointer)).refs.find(ref => !this.populateAllowed(ref.pointer));
+            if(ref)
+                return Object.assign(this.populateRefusedError(ref.pointer, pointer), {index, operation: item});
+        }
+        return null;
+    }
+
+    /**
+     * Whether the populate option allows populating the ref at a pointer. The option is {max_depth, paths, select}, where max_depth
+     * (or maxDepth) is how many refs deep a path can go, and paths is a list of the ref pointers that can be populated - matched like
+     * matchesPointer, where a * part matches any array index. Either can be left out.
+     * Refs that can't be populated are left as ids, they can still be replaced.
+     * @param {String} pointer 
+     */
+    populateAllowed(pointer) {
+        let populate = this.options.populate;
+        if(!populate)
+            return true;
+        if(typeof populate.max_depth == 'number') {
+            //the refs crossed on the way to the ref, and the ref itself
+            let depth = resolveSchemaPath(this.schema, parsePointer(pointer)).refs.length + 1;
+            if(depth > populate.max_depth)
+                return false;
+        }
+        if(Array.isArray(populate.paths))
+            return populate.paths.some(pattern => matchesPointer(pattern, pointer));
+        return true;
+    }
+
+    /**
+     * The error for a path that goes through a ref the populate option doesn't allow, for operations that get past populateError,
+     * like the ones middleware hands to next
+     * @param {String} pointer the ref
+     * @param {String} path 
+     */
+    populateRefusedError(pointer, path) {
+        return new PatchRuleViolationError("Patch can't go through the ref at " + pointer + ", it can't be populated", {path});
+    }
+
+    /**
+     * The projection for populating the ref at a pointer from populate.select, which is keyed by the ref pointer patterns like
+     * populate.paths, e.g. {'/author': 'first_name last_name'}. Returns undefined if there's no projection for it.
+     * @param {String} pointer 
+     */
+    populateSelect(pointer) {
+        let select = this.options.populate && this.options.populate.select;
+        if(!select)
+            return undefined;
+        let pattern = Object.keys(select).find(pattern => matchesPointer(pattern, pointer));
+        return pattern ? select[pattern] : undefined;
+    }
+
+    /**
+     * Whether the cross_document option allows changing the ref'd document at a pointer.
+     * cross_document is true by default, false to forbid changes through refs, or a list of ref pointers that can be changed through,
+     * matched like matchesPointer, where a pointer starting with ^/ is a regex and a * part matches any array index.
+     * @param {String} pointer 
+     */
+    crossDocumentAllowed(pointer) {
+        let cross_document = this.options.cross_document;
+        if(typeof cross_document == 'undefined' || cross_document === true)
+            return true;
+        if(!Array.isArray(cross_document))
+            return false;
+        return cross_document.some(allowed => matchesPointer(allowed, pointer));
+    }
+
+    /**
+     * Check an operation against the patch annotations in the schema, see schema_rules.js.
+     * Returns a PatchRuleViolationError if the operation isn't allowed for options.context, cause is the annotation that rejected it.
+     * schema_rules: false turns the annotations off, for patches that were already checked, like replaying the history.
+     * @param {*} item 
+     * @param {Number} index 
+     */
+    schemaRuleError(item, index) {
+        if(this.options.schema_rules === false)
+            return null;
+        let violation = checkSchemaRules(this.schema, item, this.options.context);
+        if(!violation)
+            return null;
+        return new PatchRuleViolationError("Patch not allowed by the schema annotation on " + violation.rule.path + " for path: " + violation.path, {
+            index,
+            operation: item,
+            path: violation.path,
+            cause: violation.rule
+        });
+    }
+
+    /**
+     * Apply a patch to a mongoose document, optionally with a set of rules that specify allowed fields.
+     * Returns the inverse patch, which will undo the applied operations when applied to the patched document.
+     * @param {*} patch 
+     * @param {*} document 
+     * @param {*} rules 
+     */
+    async apply(patch, document) {
+        if(this.options.dry_run)
+            return await this.check(patch, document);
+        //without autosave there's nothing to commit, and the caller's save would run outside of the transaction
+        let session = this.options.session;
+        if(this.options.transaction && !this.options.autosave && !(session && session.inTransaction()))
+            throw new PatchError("The transaction option needs autosave, or a session with a transaction in progress");
+
+        this.checkPatch(patch);
+
+        //when the patch conflicts with someone else's changes, optionally reload the document and try again
+        let optimistic = this.optimisticOptions();
+        let retries = (optimistic && (typeof optimistic.version == 'undefined')) ? optimistic.retries : 0;
+        for(let attempt = 0; ; attempt++) {
+            try {
+                if(this.options.transaction || this.options.session)
+                    return await this.applyInTransaction(document.constructor.db, () => this.applyOperations(patch, document));
+                return await this.applyOperations(patch, document);
+            }
+            catch(err) {
+                //reapplying the patch on top of documents it was already saved to would apply it twice
+                if(!(err instanceof PatchConflictError) || (attempt >= retries) || this.persisted)
+                    throw err;
+                let reloaded = await document.constructor.findById(document._id).session(this.options.session || null);
+                if(!reloaded)
+                    throw err;
+                document = reloaded;
+            }
+        }
+    }
+
+    /**
+     * Apply a patch directly to the database with update operators, without loading the document or populating refs.
+     * Operations through refs are applied to the ref'd documents with their own updates, the ref ids are read with small projected queries.
+     * 'test' operations become conditions on the update filter, so a failed test means nothing in that update is applied.
+     *
+     * Each update is atomic, but a patch that compiles into several updates isn't, unless it's run in a transaction.
+     * Throws a PatchNotAtomicError if the patch can't be expressed with update operators, see compileAtomicPatch.
+     * Resolves to {document, updates}, where document is the updated root document and updates is the list of updates that were run.
+     * @param {*} model the model of the root document
+     * @param {*} filter the filter for the root document
+     * @param {*} patch 
+     */
+    async applyAtomic(model, filter, patch) {
+        this.checkPatch(patch);
+
+        for(const [index, item] of patch.entries()) {
+            if(this.findMiddleware(item).handler)
+                throw new PatchNotAtomicError("Operation can't be applied atomically, middleware needs a document", {index, operation: item, path: item.path});
+            if(this.options.keyed_paths && [item.path, item.from].some(pointer => pointer && this.hasKeys(pointer)))
+                throw new PatchNotAtomicError("Operation can't be applied atomically, keyed paths need a document", {index, operation: item, path: item.path});
+        }
+
+        let steps = compileAtomicPatch(model.schema, patch, {
+            casters: this.options.casters,
+            transaction: Boolean(this.options.transaction || this.options.session)
+        });
+        this.schema = model.schema;
+        this.patch = patch;
+        this.applied = patch;
+
+        let run = async () => {
+            let session = this.session || this.options.session || null;
+            let root_filter = filter;
+            //pin down the root document so every ref is read from the same one
+            if(steps.some(step => step.target !== '')) {
+                let root = await model.findOne(filter).select('_id').session(session).lean();
+                if(!root)
+                    throw new PatchNotFoundError("No " + model.modelName + " found to patch", {cause: filter});
+                root_filter = {_id: root._id};
+            }
+
+            let ref_ids = {};
+            let document = null;
+            let updates = [];
+            let touched = [];
+            for(let step of steps) {
+                let target_model = step.model || model;
+                let target_filter = (step.target === '') ?
+                    root_filter :
+                    {_id: await this.resolveAtomicRef(model, root_filter, step.target, ref_ids)};
+                let query_filter = Object.keys(step.conditions).length ?
+                    {$and: [target_filter, step.conditions]} :
+                    target_filter;
+
+                let matched;
+                if(!Object.keys(step.update).length)
+                    matched = !!(await target_model.exists(query_filter).session(session));
+                else if(step.target === '') {
+                    document = await model.findOneAndUpdate(query_filter, step.update, {new: true, runValidators: true, context: 'query', session});
+                    matched = !!document;
+                }
+                else {
+                    let result = await target_model.updateOne(query_filter, step.update, {runValidators: true, context: 'query', session});
+                    matched = result.matchedCount > 0;
+                }
+
+                if(!matched) {
+                    if(step.test_indexes.length && await target_model.exists(target_filter).session(session)) {
+                        let index = step.test_indexes[0];
+                        throw new PatchTestFailedError({index, operation: patch[index], path: patch[index].path, expected: patch[index].value});
                     }
+                    throw new PatchNotFoundError("No " + target_model.modelName + " found to patch", {
+                        index: step.indexes[0],
+                        operation: patch[step.indexes[0]],
+                        path: step.target || undefined,
+                        cause: target_filter
+                    });
                 }
+                updates.push({model: target_model.modelName, filter: query_filter, update: step.update});
+                if(step.target !== '' && Object.keys(step.update).length && !touched.some(item => item.pointer == step.target))
+                    touched.push({model: target_model.modelName, id: target_filter._id, pointer: step.target});
+            }
+
+            if(!document)
+                document = await model.findOne(root_filter).session(session);
+            //atomic updates don't compute an inverse, so they're recorded without one
+            if(document)
+                await this.recordHistory(document, null, [{model: model.modelName, id: document._id, pointer: ''}].concat(touched));
+            return {document, updates};
+        };
+
+        if(this.options.transaction || this.options.session)
+            return await this.applyInTransaction(model.db, run);
+        return await run();
+    }
 
-            let next = async () => {
-                await this.populatePath(path);
-                await this[op](item);
+    /**
+     * Find the id of the document a ref pointer points to, reading each document along the way with a projection.
+     * ref_ids caches the ids that have already been read, keyed by pointer.
+     * @param {*} model 
+     * @param {*} root_filter 
+     * @param {String} pointer 
+     * @param {*} ref_ids 
+     */
+    async resolveAtomicRef(model, root_filter, pointer, ref_ids) {
+        if(ref_ids[pointer])
+            return ref_ids[pointer];
+
+        let parts = parsePointer(pointer);
+        let resolved = resolveSchemaPath(model.schema, parts);
+        let refs = resolved.refs.concat([{index: parts.length - 1, pointer}]);
+        let current_model = model;
+        let current_filter = root_filter;
+        let start = 0;
+        for(let ref of refs) {
+            if(!ref_ids[ref.pointer]) {
+                let local_parts = parts.slice(start, ref.index + 1);
+                let value = await current_model.findOne(current_filter)
+                    .select(local_parts[0])
+                    .session(this.session || this.options.session || null)
+                    .lean();
+                for(let part of local_parts) {
+                    if(value === null || typeof value == 'undefined')
+                        break;
+                    value = Array.isArray(value) ? value[parseInt(part)] : value[part];
+                }
+                if(value === null || typeof value == 'undefined')
+                    throw new PatchPathError("Attempt to operate on empty path - do you need to create the path first?", {path: ref.pointer});
+                ref_ids[ref.pointer] = value._id || value;
             }
+            current_model = ref.model;
+            current_filter = {_id: ref_ids[ref.pointer]};
+            start = ref.index + 1;
+        }
+        return ref_ids[pointer];
+    }
+
+    /**
+     * Normalize the optimistic concurrency options. Returns null if optimistic concurrency isn't turned on.
+     */
+    optimisticOptions() {
+        let optimistic = this.options.optimistic;
+        if(!optimistic)
+            return null;
+        return Object.assign({retries: 0}, (optimistic === true) ? {} : optimistic);
+    }
+
+    /**
+     * The field used to detect concurrent changes to a document, the schema version key by default
+     * @param {*} document 
+     */
+    versionField(document) {
+        let optimistic = this.optimisticOptions();
+        return optimistic.field || document.schema.options.versionKey;
+    }
 
-            if(middleware_handler)
-                await middleware_handler(document, item, next, matches);
-            else
-                await next();
+    /**
+     * Bump the version field on a document that's about to be saved, so that anyone else holding the old version will conflict
+     * @param {*} document 
+     * @param {String} field 
+     * @param {*} current 
+     */
+    incrementVersion(document, field, current) {
+        if(field == document.schema.options.versionKey)
+            return document.increment();
+        if(typeof current == 'number')
+            return document.set(field, current + 1);
+        let schema_type = document.schema.path(field);
+        //an updatedAt style field - this is a no-op if mongoose timestamps are managing it
+        if(current instanceof Date || (schema_type && schema_type.instance == 'Date'))
+            return document.set(field, new Date());
+    }
+
+    /**
+     * Apply the patch inside of a MongoDB transaction, so that either every document touched by the patch is saved, or none are.
+     * If a session is passed in the options, it's used. If that session already has a transaction in progress, the caller owns
+     * the transaction and is responsible for committing or aborting it - we just throw on failure.
+     * Note that the in-memory documents are not restored when the transaction is aborted, only the database is.
+     * @param {*} db the mongoose connection to start the session on
+     * @param {Function} fn async function that applies the patch
+     */
+    async applyInTransaction(db, fn) {
+        let session = this.options.session;
+        let owns_session = !session;
+        if(owns_session)
+            session = await db.startSession();
+        let owns_transaction = !session.inTransaction();
+        if(owns_transaction)
+            session.startTransaction();
+        this.session = session;
+
+        try {
+            let result = await fn();
+            if(owns_transaction)
+                await session.commitTransaction();
+            return result;
         }
-        if(this.options.autosave)
+        catch(err) {
+            if(owns_transaction && session.inTransaction()) {
+                await session.abortTransaction();
+                this.persisted = false;
+            }
+            throw err;
+        }
+        finally {
+            if(owns_session) {
+                //don't leave a dead session attached to the documents
+                for(let item of this.save_queue)
+                    item.$session(null);
+                await session.endSession();
+            }
+        }
+    }
+
+    /**
+     * Apply each operation in the patch to the document, and save if autosave is on
+     * @param {*} patch 
+     * @param {*} document 
+     */
+    async applyOperations(patch, document) {
+        //a plain object keeps the schema of its model, see plain_patch.js
+        this.schema = document.schema || this.schema;
+        this.save_queue = [];
+        this.document_pointers = new Map();
+        this.patch = patch;
+        this.document = document;
+        this.inverse = [];
+        this.applied = [];
+        this.document_versions = new Map();
+        this.persisted = false;
+        this.partial_populate = [];
+        this.pending_refs = [];
+        this.clearPathCache();
+
+        //the client can say which version of the root document the patch was made against
+        let optimistic = this.optimisticOptions();
+        if(optimistic && (typeof optimistic.version != 'undefined')) {
+            let field = this.versionField(document);
+            let current = toJSONValue(document.get(field));
+            let expected = toJSONValue(optimistic.version);
+            if(String(current) !== String(expected))
+                throw new PatchConflictError("Document version mismatch, expected " + field + ": " + expected + " but was: " + current, {
+                    path: '/' + field,
+                    document,
+                    expected,
+                    actual: current
+                });
+        }
+
+        this.enqueue(document, '');
+
+        for(let hook of this.hooks('before'))
+            await hook(document, patch);
+
+        await this.planPopulate(patch);
+
+        try {
+            for (const [index, item] of patch.entries()) {
+                try {
+                    await this.runMiddleware(await this.resolveItemKeys(item), 0);
+                }
+                catch(err) {
+                    //the op methods don't know where they are in the patch
+                    if(err instanceof PatchError && typeof err.index == 'undefined') {
+                        err.index = index;
+                        err.operation = item;
+                        if(typeof err.path == 'undefined')
+                            err.path = item.path;
+                    }
+                    throw err;
+                }
+            }
+
+            for(let hook of this.hooks('after'))
+                await hook(document, patch, this.inverse);
+        }
+        catch(err) {
+            await this.restore();
+            throw err;
+        }
+
+        //the ref'd documents the patch created or updated are only saved with the document if the whole patch applied
+        for(let {owner, document: ref_document} of this.pending_refs) {
+            if(!owner.$locals.pending_refs)
+                owner.$locals.pending_refs = [];
+            owner.$locals.pending_refs.push(ref_document);
+        }
+
+        if(this.options.autosave) {
             await this.save();
+            await this.repopulate();
+        }
+        await this.recordHistory(document, this.inverse, this.save_queue.map(item => ({
+            model: item.constructor.modelName,
+            id: item._id,
+            pointer: this.document_pointers.get(item)
+        })));
+        return this.inverse;
+    }
+
+    /**
+     * Undo the operations applied before the patch failed, so the document isn't left with half of the patch.
+     * The inverse goes straight to the op methods, the rules and middleware already let the operations it undoes through.
+     * Changes that middleware made to the document directly aren't in the inverse, so they stay.
+     */
+    async restore() {
+        let inverse = this.inverse;
+        this.inverse = [];
+        for(let item of inverse)
+            await this.applyOperation(item);
+        this.inverse = inverse;
+    }
+
+    /**
+     * Write the applied patch to the history collection, if the audit option is on.
+     * Without autosave nothing has been saved yet, so the entry is kept in the document's $locals and written by the plugin's
+     * post save hook when the document is saved.
+     * @param {*} document the root document
+     * @param {Array} inverse 
+     * @param {Array} documents the documents touched by the patch, as {model, id, pointer}
+     */
+    async recordHistory(document, inverse, documents) {
+        let audit = auditOptions(this.options.audit);
+        if(!audit)
+            return;
+        let entry = {
+            patch: toJSONValue(this.patch),
+            applied: toJSONValue(this.applied),
+            inverse: inverse && toJSONValue(inverse),
+            actor: this.options.actor,
+            documents,
+            //only kept if this version is due a snapshot, see recordHistory in audit.js
+            snapshot: document.toObject({depopulate: true, transform: false, virtuals: false, getters: false, flattenMaps: true})
+        };
+        if(!this.options.autosave) {
+            if(!document.$locals.pending_history)
+                document.$locals.pending_history = [];
+            document.$locals.pending_history.push({entry, audit});
+            return;
+        }
+        await recordHistory(document, entry, audit, this.session || this.options.session);
+    }
+
+    /**
+     * The global before or after hooks from the options, which can be a single function or a list of them
+     * @param {String} name 
+     */
+    hooks(name) {
+        let hooks = this.options[name];
+        if(!hooks)
+            return [];
+        return Array.isArray(hooks) ? hooks : [hooks];
+    }
+
+    /**
+     * Run a patch item through every matching middleware, starting at position start in the middleware list, and then apply it.
+     * Middleware is composed like koa - each matching handler is called in declaration order with a next function, which passes the item
+     * on to the next matching handler. A handler can call next with a different item, with a list of items to expand the operation into
+     * several operations, or not call next at all to swallow the operation.
+     *
+     * After the patch's own middleware, an item that goes through refs runs through the middleware of each ref'd model, outermost first,
+     * see middlewareStages. stage is the position in that list.
+     * @param {*} item 
+     * @param {Number} start 
+     * @param {Number} stage 
+     */
+    async runMiddleware(item, start, stage = 0) {
+        let stages = this.middlewareStages(item);
+        for(; stage < stages.length; stage++, start = 0) {
+            let {middleware, prefix} = stages[stage];
+            let relative = relativeItem(item, prefix);
+            for(let i = start; i < middleware.length; i++) {
+                let matches = this.matchMiddleware(middleware[i], relative);
+                if(!matches)
+                    continue;
+
+                let current_stage = stage;
+                let next = async (next_item) => {
+                    if(typeof next_item == 'undefined')
+                        next_item = relative;
+                    let items = Array.isArray(next_item) ? next_item : [next_item];
+                    for(let expanded_item of items)
+                        await this.runMiddleware(absoluteItem(expanded_item, prefix), i + 1, current_stage);
+                };
+                let document = prefix ? await this.refDocument(prefix) : this.document;
+                //the handler can change the document directly, so nothing walked before it can be trusted
+                this.clearPathCache();
+                return await middleware[i].handler(document, relative, next, matches);
+            }
+        }
+
+        await this.applyOperation(item);
+    }
+
+    /**
+     * The middleware that applies to an item: the patch's own, and the middleware registered for each ref'd model the path goes through,
+     * as {middleware, prefix} where prefix is the pointer to the ref. A ref'd model's middleware sees the item with its paths relative
+     * to the ref'd document, so it's skipped when the from of the item is in a different document.
+     * @param {*} item 
+     */
+    middlewareStages(item) {
+        let stages = [{middleware: this.options.middleware || [], prefix: ''}];
+        for(let ref of resolveSchemaPath(this.schema, parsePointer(item.path)).refs) {
+            let options = JSONPatchMongoose.registeredOptions(ref.model.schema);
+            if(!options || !options.middleware || !options.middleware.length)
+                continue;
+            if(typeof item.from != 'undefined' && !item.from.startsWith(ref.pointer + '/'))
+                continue;
+            stages.push({middleware: options.middleware, prefix: ref.pointer});
+        }
+        return stages;
+    }
+
+    /**
+     * Populate the path to a ref and return the ref'd document
+     * @param {String} pointer 
+     */
+    async refDocument(pointer) {
+        await this.populatePath(pointer);
+        return this.getPath(pointer);
+    }
+
+    /**
+     * Populate the paths for a single operation and apply it to the document
+     * @param {*} item 
+     */
+    async applyOperation(item) {
+        //middleware can hand us new operations, make sure they're valid before calling anything
+        if(!this.validate([item]))
+            throw this.validationError([item], this.errors[0]);
+
+        item = await this.resolveItemKeys(item);
+        this.applied.push(item);
+        let {op, path, from} = item;
+        if(from)
+            await this.populatePath(from);
+        await this.populatePath(path);
+        await this[op](item);
+    }
+
+    /**
+     * Resolve the keyed parts of an operation's path and from against the document, see resolveKeys.
+     * Rules were checked against the path as it was written, so an operation that resolves to a different path is checked again.
+     * @param {*} item 
+     */
+    async resolveItemKeys(item) {
+        let read = async (prefix) => {
+            await this.populatePath(prefix);
+            return this.getPath(prefix);
+        };
+        let path = await this.resolveKeys(item.path, read);
+        let from = await this.resolveKeys(item.from, read);
+        if(path == item.path && from == item.from)
+            return item;
+
+        let resolved = Object.assign({}, item, {path});
+        if(typeof from != 'undefined')
+            resolved.from = from;
+        let rule_error = this.ruleError(resolved);
+        if(rule_error)
+            throw rule_error;
+        return resolved;
+    }
+
+    /**
+     * Replace the keyed parts of a pointer, like /collaborators/[_id=5f...]/gets_credit, with the index of the array element they match.
+     * Pointers are returned as is unless the keyed_paths option is on.
+     * @param {String} pointer 
+     * @param {Function} readArray async function that reads the array at a pointer
+     */
+    async resolveKeys(pointer, readArray) {
+        if(!this.options.keyed_paths || typeof pointer != 'string' || !this.hasKeys(pointer))
+            return pointer;
+        let parts = pointer.split('/').slice(1);
+        for(let i=0; i<parts.length; i++) {
+            let key = this.parseKey(parts[i], parts.slice(0, i));
+            if(!key)
+                continue;
+            let prefix = parts.slice(0, i).map(part => '/' + part).join('');
+            let array = await readArray(prefix);
+            if(!Array.isArray(array))
+                throw new PatchPathError("Keyed path part " + parts[i] + " isn't on an array: " + prefix, {path: pointer});
+            //an unpopulated ref array needs the ref'd model to read the key field
+            let schema_type = resolveSchemaPath(this.schema, parts.slice(0, i)).schema_type;
+            let caster = schema_type && schema_type.caster;
+            let model = caster && caster.options && refModel(caster.options.ref);
+            let index = await this.keyedIndex(array, key, model);
+            if(index < 0)
+                throw new PatchPathError("No array element with " + key.field + "=" + key.value + " at " + prefix, {path: pointer});
+            parts[i] = String(index);
+        }
+        return '/' + parts.join('/');
+    }
+
+    hasKeys(pointer) {
+        return pointer.split('/').some(part => /^\[.*\]$/.test(part));
+    }
+
+    /**
+     * Parse a keyed path part, [field=value] or [value]. Without a field, the field is looked up in the array_keys option by the
+     * pointer of the array without indexes, e.g. {'/books': 'name'}, and defaults to _id.
+     * Returns null if the part isn't keyed.
+     * @param {String} part 
+     * @param {Array} parent_parts the parts of the pointer to the array
+     */
+    parseKey(part, parent_parts) {
+        let match = /^\[(?:([^=\]]+)=)?(.*)\]$/.exec(part);
+        if(!match)
+            return null;
+        let field = match[1];
+        if(!field) {
+            let array_keys = this.options.array_keys || {};
+            let array_pointer = parent_parts.filter(parent_part => !/^\d+$/.test(parent_part)).map(parent_part => '/' + parent_part).join('');
+            field = array_keys[array_pointer] || '_id';
+        }
+        return {field, value: match[2].replace(/~1/g, '/').replace(/~0/g, '~')};
+    }
+
+    /**
+     * Find the position of the element whose key field matches a parsed key, comparing the json value of the field as a string.
+     * Elements that are unpopulated refs are read from the ref'd model in one query.
+     * @param {Array} array 
+     * @param {*} key 
+     * @param {*} model the ref'd model, for arrays of refs
+     */
+    async keyedIndex(array, key, model) {
+        let values = array.map(element => {
+            if(element instanceof mongoose.Types.ObjectId)
+                return (key.field == '_id') ? element : undefined;
+            if(element instanceof mongoose.Document)
+                return element.get(key.field);
+            return readField(element, key.field);
+        });
+
+        let ids = array.filter(element => element instanceof mongoose.Types.ObjectId);
+        if(model && ids.length && key.field != '_id') {
+            let loaded = await model.find({_id: {$in: ids}})
+                .select(key.field)
+                .session(this.session || this.options.session || null)
+                .lean();
+            for(let [i, element] of array.entries()) {
+                if(!(element instanceof mongoose.Types.ObjectId))
+                    continue;
+                let ref = loaded.find(item => item._id.equals(element));
+                values[i] = readField(ref, key.field);
+            }
+        }
+
+        return values.findIndex(value => (value !== null) && (typeof value != 'undefined') && (String(toJSONValue(value)) === key.value));
+    }
+
+    /**
+     * Find the first middleware that matches the operation and path of a patch item
+     * @param {*} item 
+     */
+    findMiddleware(item) {
+        for(let {middleware, prefix} of this.middlewareStages(item)) {
+            let relative = relativeItem(item, prefix);
+            for(let entry of middleware) {
+                let matches = this.matchMiddleware(entry, relative);
+                if(matches)
+                    return {handler: entry.handler, matches};
+            }
+        }
+        return {};
+    }
+
+    /**
+     * Check whether a middleware applies to the operation and path of a patch item, returning the regex matches for the path if it does
+     * @param {*} middleware 
+     * @param {*} item 
+     */
+    matchMiddleware(middleware, item) {
+        let {op, path} = item;
+        let op_matches;
+        if(Array.isArray(middleware.op)) 
+            op_matches = middleware.op.includes(op);
+        else
+            op_matches = (middleware.op == op)
+        if(!op_matches)
+            return null;
+        if(!middleware.regex)
+            middleware.regex = new RegExp(middleware.path);
+        return middleware.regex.exec(path);
+    }
+
+    /**
+     * Record the operation that will undo the operation currently being applied.
+     * Inverse operations are kept in reverse order, so the inverse patch can be applied as-is.
+     * @param {*} item 
+     */
+    recordInverse(item) {
+        this.inverse.unshift(item);
+    }
+
+    /**
+     * Record the inverse of setting a value at a path, based on what was there before.
+     * @param {String} pointer the json pointer that is being set
+     * @param {*} previous_value 
+     */
+    recordInverseSet(pointer, previous_value) {
+        if(typeof previous_value == 'undefined')
+            this.recordInverse({op: 'remove', path: pointer});
+        else
+            this.recordInverse({op: 'replace', path: pointer, value: toJSONValue(previous_value)});
     }
 
     async replace(item) {
-        let {path, value} = item;
-        path = this.jsonPointerToMongoosePath(path);
+        let {op, path, value} = item;
+        value = this.castValue(path, value, op);
+        value = await this.createOrLinkRefs(path, value);
+        this.recordInverseSet(path, this.getPath(path));
         this.setPath(path, value);
+        this.invalidatePath(path);
     }
 
     async remove(item) {
         let {path} = item;
         //if the path is an array, remove the element, otherwise set to undefined
-        path = this.jsonPointerToMongoosePath(path);
-        let current_value = this.document.get(path);
+        let current_value = this.getPath(path);
         let parent = this.walkPath(path, -1);
-        if(Array.isArray(parent))
-            return parent.pull(current_value);
+        if(Array.isArray(parent)) {
+            let parts = parsePointer(path);
+            let index = parseInt(parts[parts.length - 1]);
+            if(isNaN(index) || index < 0 || index >= parent.length)
+                throw new PatchPathError("Invalid array index: " + parts[parts.length - 1], {path});
+            this.recordInverse({op: 'add', path, value: toJSONValue(current_value)});
+            //splice rather than pull, pull would remove every element with the same value
+            parent.splice(index, 1);
+            this.touchPath(path);
+            //the elements after it moved
+            this.invalidatePath(formatPointer(parts.slice(0, -1)));
+            return;
+        }
+        if(typeof current_value != 'undefined')
+            this.recordInverse({op: 'add', path, value: toJSONValue(current_value)});
         this.setPath(path, undefined);
+        this.invalidatePath(path);
     }
 
     async add(item) {
-        let {path, value} = item;
-        path = this.jsonPointerToMongoosePath(path);
-        let parts = path.split('.');
+        let {op, path, value} = item;
+        let parts = parsePointer(path);
         let part = parts[parts.length -1];
         let parent = this.walkPath(path, -1);
+        value = this.castValue(path, value, op);
+        //the refs in a value appended to an array are checked at the index it's going to
+        let target = (Array.isArray(parent) && part == '-') ? formatPointer(parts.slice(0, -1).concat(String(parent.length))) : path;
+        value = await this.createOrLinkRefs(target, value);
         if(Array.isArray(parent)) {
-            //this should always be true
-            if(parent.isMongooseArray) {
-                let array_schema = parent.$schema ? parent.$schema() : parent._schema;
-                //if it looks like this is an array of object refs
-                if(array_schema.options &&  //just
-                    array_schema.options.type &&  //being
-                    array_schema.options.type.length &&  //really
-                    array_schema.options.type[0].ref) { //safe
-                    let model = mongoose.model(array_schema.options.type[0].ref);
-                    //and the value is an object
-                    if(value instanceof Object) {
-                        //but it isn't an existing ObjectId
-                        if(!(mongoose.Types.ObjectId.isValid(value))) {
-                            //autosave must be true for this to work, because we have to save the instance before we can push it to the mongoose array
-                            if(this.options.autosave == false)
-                                throw new Error("Autosave must be turned on to add array elements to populated path");
-                            //create a new model instance
-                            value = new model(value);
-                            await value.save();
-                        }
-                    }
-                }
-            }
             if(part == '-') {
-                return parent.push(value);
+                this.recordInverse({op: 'remove', path: path.replace(/-$/, parent.length)});
+                parent.push(value);
             }
             else {
-                try {
-                    part = parseInt(part);
-                    //this calls mongoose splice, which has proper change tracking
-                    //rfc6902 says we don't spread aray values, we just add an array element
-                    parent.splice(part,0,value);
-                }
-                catch(err) {
-                    throw new Error("Invalid index value: " + part + " for array add");
-                }
+                let index = parseInt(part);
+                if(isNaN(index) || index < 0 || index > parent.length)
+                    throw new PatchPathError("Invalid index value: " + part + " for array add", {path});
+                //this calls mongoose splice, which has proper change tracking
+                //rfc6902 says we don't spread aray values, we just add an array element
+                parent.splice(index,0,value);
+                this.recordInverse({op: 'remove', path});
             }
+            this.touchPath(path);
+            this.invalidatePath(formatPointer(parts.slice(0, -1)));
         }
-        else
+        else {
+            this.recordInverseSet(path, this.getPath(path));
             this.setPath(path, value);
+            this.invalidatePath(path);
+        }
     }
 
+    /**
+     * Run a value that's about to be set through the value pipeline, with the casters option, see cast_value.js.
+     * Throws a PatchCastError if it can't be cast or fails a validator.
+     * @param {String} pointer where the value is being set
+     * @param {*} value 
+     * @param {String} op the operation that's setting it
+     */
+    castValue(pointer, value, op) {
+        return castPathValue(this.schema, parsePointer(pointer), value, {casters: this.options.casters, op});
+    }
+
+    /**
+     * Create or link the ref'd documents for the refs in a value that's being set, including refs nested in subdocs and in the
+     * ref'd documents themselves. For each ref, an id links the existing document, an object with an _id updates that document
+     * and links it - or creates it with that _id if there isn't one - and an object without an _id creates a new document.
+     *
+     * Every field of an object is checked as an operation on the ref'd document, see checkRefFields, so an object can't change
+     * anything a patch through the ref couldn't.
+     * Nothing is saved here. With autosave, the documents are saved with the rest of the patch. Without it, once the whole patch
+     * is applied they're kept in the $locals of the document that holds the ref, and the plugin saves them when that document is saved.
+     * Returns the value with the refs replaced by the documents, the value in the patch isn't changed.
+     * @param {String} pointer where the value is being set
+     * @param {*} value 
+     */
+    async createOrLinkRefs(pointer, value) {
+        let resolved = resolveSchemaPath(this.schema, parsePointer(pointer));
+        if(resolved.error || resolved.mixed || resolved.virtual)
+            return value;
+        let holder = {value: clonePlain(value)};
+        let refs = findRefValues(resolved.schema, resolved.path, holder, 'value', resolved.element);
+        if(!refs.length)
+            return value;
+
+        let parts = parsePointer(pointer);
+        let path_info = this.path_info[formatPointer(parts)] || this.path_info[formatPointer(parts.slice(0, -1))];
+        let owner = path_info ? path_info.root : this.document;
+        for(let ref of refs)
+            ref.container[ref.key] = await this.createOrLink(ref.model, ref.container[ref.key], pointer + formatPointer(ref.parts), owner);
+        return holder.value;
+    }
+
+    /**
+     * Create, update or link a single ref'd document, see createOrLinkRefs
+     * @param {*} model the ref'd model
+     * @param {*} fields the object for the ref, which is already a copy
+     * @param {String} pointer the ref
+     * @param {*} owner the document that holds the outermost ref
+     */
+    async createOrLink(model, fields, pointer, owner) {
+        let id = fields._id;
+        let document = null;
+        if(id !== null && typeof id != 'undefined') {
+            //just the id, it's a link
+            if(Object.keys(fields).length == 1)
+                return id;
+            document = await model.findById(id).session(this.session || null);
+        }
+        this.checkRefFields(pointer, fields, document);
+
+        for(let ref of findRefValues(model.schema, '', {fields}, 'fields'))
+            ref.container[ref.key] = await this.createOrLink(ref.model, ref.container[ref.key], pointer + formatPointer(ref.parts), owner);
+
+        if(document) {
+            delete fields._id;
+            document.set(fields);
+        }
+        else
+            document = new model(fields);
+
+        if(this.options.autosave)
+            this.enqueue(document, pointer);
+        else
+            this.pending_refs.push({owner, document});
+        return document;
+    }
+
+    /**
+     * Check the fields of an object for a ref as operations on the ref'd document, against the rules, the schema annotations,
+     * the ref'd model's rules and cross_document, see ruleError. Each field of a new document is an add, and each field of an existing
+     * one is a replace. Throws a PatchRuleViolationError for the first field that isn't allowed.
+     * @param {String} pointer the ref
+     * @param {*} fields 
+     * @param {*} document the existing document, or null if the object creates one
+     */
+    checkRefFields(pointer, fields, document) {
+        for(let key of Object.keys(fields)) {
+            if(key == '_id')
+                continue;
+            let error = this.ruleError({op: document ? 'replace' : 'add', path: pointer + '/' + escapeKey(key), value: fields[key]});
+            if(error)
+                throw error;
+        }
+    }
+
+    /**
+     * Copy is an add of a deep copy of the value at from. Copied subdocs get new _ids, copied refs link to the same ref'd document.
+     * @param {*} item 
+     */
     async copy(item) {
         let {from, path} = item;
-        from = this.jsonPointerToMongoosePath(from);
-        path = this.jsonPointerToMongoosePath(path);
-        let value = this.document.get(from);
-        this.setPath(path, value);
+        let value = detachValue(this.getPath(from), false);
+        await this.add({op: 'add', path, value});
     }
 
+    /**
+     * Move is a remove from the source followed by an add at the target, so array elements are spliced out and in, and the target
+     * path is evaluated after the source was removed, as RFC6902 says. Moved subdocs keep their _ids.
+     * The source and target can be in different documents, like moving a collaborator's author into the coauthor of a book.
+     * @param {*} item 
+     */
     async move(item) {
         let {from, path} = item;
-        from = this.jsonPointerToMongoosePath(from);
-        path = this.jsonPointerToMongoosePath(path);
-        let from_parts = from.split('.');
-        let value = this.document.get(from);
-        this.setPath(path, value);
-        this.setPath(from, null);
+        if(from == path)
+            return;
+        if(path.startsWith(from + '/'))
+            throw new PatchPathError("Can't move a value into itself, from: " + from + " is a prefix of path: " + path, {path});
+        let value = detachValue(this.getPath(from), true);
+        await this.remove({op: 'remove', path: from});
+        //removing from an array can shift the target
+        await this.populatePath(path);
+        await this.add({op: 'add', path, value});
     }
 
+    /**
+     * Compare the value at the path with the value in the operation, throwing if they differ, which aborts the patch.
+     * The comparison is type aware, an ObjectId matches its string, a Date matches its ISO string and a populated ref matches its id.
+     * @param {*} item 
+     */
     async test(item) {
         let {path, value} = item;
-        let existing_value = this.document.get(path);
+        let existing_value = this.getPath(path);
+        let actual = toJSONValue(existing_value);
+        let expected = toJSONValue(value);
 
-        try {
-            assert.deepStrictEqual(existing_value, value);
-            
-        } catch (error) {
-            return false;
-        }
+        if(!isEqual(actual, expected))
+            throw new PatchTestFailedError({path, expected, actual});
     }
 
     /**
@@ -204,68 +1488,226 @@ class JSONPatchMongoose {
     }
 
     /**
-     * Mongoose "set" doesn't work with a populated path. This method walks a populated path and ensures 'set' is called on the leaf.
-     * @param {*} path 
+     * Mongoose "set" doesn't work with a populated path. This method uses the populated path info to call 'set' on the document that owns the leaf.
+     * Inside of a Mixed path the value is set on the plain object, and the Mixed path is marked as modified.
+     * @param {String} path the json pointer
      * @param {*} value 
      */
     setPath(path, value) {
-        let path_info = this.path_info[path];
-        path_info.root.set(path_info.relative_path, value);
+        let path_info = this.path_info[formatPointer(parsePointer(path))];
+        if(!path_info.mixed) {
+            path_info.root.set(path_info.relative_path, value);
+            return;
+        }
+
+        let {root, index} = path_info.mixed;
+        let parts = parsePointer(path);
+        let key = parts[parts.length - 1];
+        let container = readParts(root.get(path_info.mixed.path), parts.slice(index, -1));
+        if(container === null || typeof container != 'object')
+            throw new PatchPathError("Attempt to operate on empty path - do you need to create the path first?", {path});
+        if(Array.isArray(container))
+            container[parseInt(key)] = value;
+        else if(typeof value == 'undefined')
+            delete container[key];
+        else
+            container[key] = value;
+        this.touchPath(path);
     }
 
     /**
-     * Walk down a mongoose dotted path, dereferencing objects. Return the value at the 'index' position in the path, or if index isn't specified, the
+     * Read the value at a json pointer, using the populated path info so that reads through refs go to the ref'd document.
+     * @param {String} path the json pointer
+     */
+    getPath(path) {
+        let parts = parsePointer(path);
+        let path_info = this.path_info[formatPointer(parts)];
+        if(!path_info)
+            return readParts(this.document, parts);
+        if(path_info.mixed)
+            return readParts(path_info.mixed.root.get(path_info.mixed.path), parts.slice(path_info.mixed.index));
+        if(path_info.relative_path === '')
+            return path_info.root;
+        return path_info.root.get(path_info.relative_path);
+    }
+
+    /**
+     * Mark the Mixed path that a json pointer is inside of as modified, after its value was changed in place.
+     * Mongoose can't see changes inside of Mixed paths, everything else is tracked by mongoose itself.
+     * @param {String} path the json pointer
+     */
+    touchPath(path) {
+        let parts = parsePointer(path);
+        for(let i = parts.length; i >= 0; i--) {
+            let path_info = this.path_info[formatPointer(parts.slice(0, i))];
+            if(path_info && path_info.mixed)
+                return path_info.mixed.root.markModified(path_info.mixed.path);
+        }
+    }
+
+    /**
+     * Walk down a json pointer, dereferencing objects. Return the value at the 'index' position in the path, or if index isn't specified, the
      * 'leaf' pointed to by the entire path. A negative index will indicate an offset from the end of the path.
-     * @param {*} path 
+     * @param {String} path the json pointer
      * @param {*} index 
      */
     walkPath(path, index) {
-        let parts = path.split(".");
+        let parts = parsePointer(path);
         if(typeof index == 'undefined')
             index = parts.length;
         if(index < 0)
             index = parts.length + index;
 
         let parent = this.document;
-        let part;
         for (let i=0; i<index; i++) {
-            part = parts[i];
+            if(Array.isArray(parent) && !/^\d+$/.test(parts[i]))
+                throw new PatchPathError("Invalid index on array: " + parts[i]);
+            parent = childValue(parent, parts[i]);
+        }
 
-            if(Array.isArray(parent)) {
-                part = parseInt(part);
-                if(isNaN(part))
-                    throw new Error("Invalid index on array: " + part);
-            }
+        return parent;
+    }
 
-            if(i === (parts.length - 1))
-                break;
+    /**
+     * Populate the refs the whole patch goes through before applying it, so a patch with hundreds of operations on the elements of a
+     * ref array populates each ref path once, instead of once per operation in populatePath.
+     *
+     * Refs are populated with a select of just the fields the patch touches in them, plus the fields needed to save them. A ref
+     * the patch reads or sets as a whole, like replacing /books/0, is loaded in full, and so is everything when there's middleware
+     * or before and after hooks, since they get the documents. Paths that can't be resolved from the schema alone, like keyed paths,
+     * are left for populatePath. A select for the ref in the populate option is used as is.
+     *
+     * The patched documents are handed back with their refs populated, so refs are only loaded with a select when autosave is on, and
+     * they're populated again in full once the patch is saved, see repopulate.
+     * @param {Array} patch
+     */
+    async planPopulate(patch) {
+        if(!this.options.autopopulate)
+            return;
+        let resolved = [];
+        for(let item of patch)
+            for(let pointer of [item.path, item.from])
+                if(typeof pointer == 'string') {
+                    let parts;
+                    try {
+                        parts = parsePointer(pointer);
+                    }
+                    catch(err) {
+                        continue;
+                    }
+                    resolved.push(Object.assign(resolveSchemaPath(this.schema, parts), {parts}));
+                }
 
-            parent = parent[part];
+        //a keyed path can end up anywhere in the ref'd documents
+        let full = !this.options.autosave || this.hooks('before').length || this.hooks('after').length || (this.options.middleware || []).length ||
+            resolved.some(({error}) => error);
+        //the populate tree, keyed by the dotted path of each ref relative to the ref before it
+        let plan = {};
+        for(let {parts, refs, arrays, error} of resolved) {
+            if(error)
+                continue;
+            let level = plan;
+            let start = 0;
+            let indexes = arrays.map(array => array.index);
+            for(let ref of refs) {
+                let path = parts.slice(start, ref.index + 1).filter((part, i) => !indexes.includes(start + i)).join('.');
+                let node = level[path] = level[path] ||
+                    {model: ref.model, fields: new Set(), full: false, select: this.populateSelect(ref.pointer), populate: {}};
+                let field = parts[ref.index + 1];
+                let schema = ref.model.schema;
+                let registered = JSONPatchMongoose.registeredOptions(schema);
+                if(full || (typeof field == 'undefined') || (!schema.path(field) && schema.pathType(field) != 'nested') ||
+                    (registered && registered.middleware && registered.middleware.length))
+                    node.full = true;
+                else
+                    node.fields.add(field);
+                level = node.populate;
+                start = ref.index + 1;
+            }
         }
 
-        return parent;
+        let optimistic = this.optimisticOptions();
+        let specs = (level, narrow) => Object.entries(level).map(([path, node]) => {
+            let spec = {path};
+            if(typeof node.select != 'undefined')
+                spec.select = node.select;
+            else if(narrow && !node.full) {
+                let fields = [...node.fields, node.model.schema.options.versionKey];
+                if(optimistic && optimistic.field)
+                    fields.push(optimistic.field);
+                spec.select = fields.filter(field => field).join(' ');
+            }
+            let populate = specs(node.populate, narrow);
+            if(populate.length)
+                spec.populate = populate;
+            return spec;
+        });
+
+        let populate = specs(plan, true).filter(spec => !this.document.populated(spec.path));
+        //the refs that were loaded with a select, populated in full
+        this.partial_populate = specs(plan, false)
+            .filter(spec => populate.some(narrow => (narrow.path == spec.path) && (JSON.stringify(narrow) != JSON.stringify(spec))));
+        if(populate.length)
+            await this.document.populate(populate);
+    }
+
+    /**
+     * Populate the refs planPopulate loaded with a select again in full, once they're saved, so the patched document isn't handed
+     * back with half loaded refs. This reads the refs from the document, so it follows the changes the patch made to them.
+     */
+    async repopulate() {
+        if(this.partial_populate.length)
+            await this.document.populate(this.partial_populate);
     }
 
-    jsonPointerToMongoosePath(path) {
-        path = path.substring(1);
-        path = path.replace(/\//g,'.');
-        return path;
+    /**
+     * Forget everything populatePath learned about the document's paths. populatePath keeps the path info of every path it walked,
+     * so the next operation on a nearby path only walks what's new - this is for when the document may have changed in ways the
+     * patch doesn't know about, like middleware changing it directly.
+     */
+    clearPathCache() {
+        this.path_info = {};
+        this.path_state = {};
+    }
+
+    /**
+     * Forget the path info for a json pointer and everything inside of it, after an operation that changed what's there.
+     * @param {String} path the json pointer
+     */
+    invalidatePath(path) {
+        let pointer = formatPointer(parsePointer(path));
+        for(let cache of [this.path_info, this.path_state])
+            for(let key of Object.keys(cache))
+                if(key == pointer || key.startsWith(pointer + '/'))
+                    delete cache[key];
     }
 
     /**
      * Ensure that all refs in the path are populated
-     * @param {String} path 
+     * @param {String} path the json pointer
      */
     async populatePath(path) {
-        let parts = path.split('/');
+        let parts = parsePointer(path);
         let part;
-        parts.shift(); //get rid of first ""
         let relative_root = this.document;
         let relative_root_index = -1;
-        let absolute_path = '';
-        let relative_path = '';
         let current_object = relative_root;
-        this.path_info = {};
+        //set once the path goes inside of a Mixed path, to {root, path, index} where path is the Mixed path in root
+        //and index is the position in parts of the first key inside of it
+        let mixed = null;
+
+        //start from the longest part of the path that's already been walked, see clearPathCache
+        let cached = -1;
+        for(let i=parts.length; i>=0; i--) {
+            let state = this.path_state[formatPointer(parts.slice(0, i))];
+            if(state) {
+                ({current_object, relative_root, relative_root_index, mixed} = state);
+                cached = i;
+                break;
+            }
+        }
+        if(cached == parts.length)
+            return;
 
         //for a path like '/something/0/foo/name' parts should now look like:
         //['something','0','foo','name]
@@ -275,148 +1717,114 @@ class JSONPatchMongoose {
         //this also gets tricky when dealing with arrays, and subdocs in arrays, especially when there's an embedded object in
         //an array subdoc
 
-        for (let i=0; i<=parts.length; i++) {
-            if(i < parts.length)
-                part = parts[i];
+        for (let i=Math.max(cached, 0); i<=parts.length; i++) {
+            part = parts[i];
+            let pointer = formatPointer(parts.slice(0, i));
+            let relative_path = parts.slice(relative_root_index + 1, i).join('.');
 
-            //cache information about the path for later assignment (setPath)
+            //cache information about the path for later assignment (setPath), keyed by the json pointer
             //the path_info structure isn't used in this function, we're just building up some information about
             //the whole graph, so that later it's a lot easier to figure out how to set properties
-
-            //if we're on the root document
-            if(current_object == this.document) {
-                this.path_info[absolute_path] = {
-                    absolute_path: '',
-                    relative_path: '',
-                    root: this.document,
-                    document: this.document,
-                    type: 'root'
-                }
-                if(!this.save_queue.includes(current_object))
-                    this.save_queue.push(current_object);
-            }
-            //if the current object is null or undefined -
-            //this can happen if we're setting a value in a subdoc or object ref that's new
-            else if(!current_object) {
-                //if this isn't the end of the path, there's a problem, the user needs to patch to create this first
-                if(i != (parts.length) )
-                    throw new Error("Attempt to operate on empty path - do you need to create the path first?");
-
-                this.path_info[absolute_path] = {
-                    absolute_path: absolute_path,
-                    relative_path: relative_path,
+            let info = (type) => {
+                this.path_info[pointer] = {
+                    absolute_path: pointer,
+                    relative_path,
                     root: relative_root,
                     document: current_object,
-                    type: 'leaf'
-                }
+                    type,
+                    mixed
+                };
+            };
 
-            }
-            //If this is an ObjectId, it may or may not be a ref that needs to be populated
-            else if(current_object instanceof mongoose.Types.ObjectId) {
-                let schema_type = relative_root.schema.path(relative_path);
-                //if this has a ref in the schema, it needs to be populated
-                if( 
-                    this.options.autopopulate && //if we're not populating, treat it as a leaf
-                    schema_type &&
-                    schema_type.options.ref) {
-                    this.path_info[absolute_path] = {
-                        absolute_path: absolute_path,
-                        relative_path: relative_path,
-                        root: relative_root,
-                        document: current_object,
+            if(i > cached) {
+                //if we're on the root document
+                if(current_object == this.document) {
+                    this.path_info[pointer] = {
+                        absolute_path: '',
+                        relative_path: '',
+                        root: this.document,
+                        document: this.document,
                         type: 'root'
                     }
-                    await relative_root.populate(relative_path);
-                    current_object = relative_root.get(relative_path);
-                    relative_root = current_object;
-                    relative_root_index = i-1;
-                    if(!this.save_queue.includes(current_object))
-                        this.save_queue.push(current_object);
+                    this.enqueue(current_object, '');
                 }
-                //this is just an object id floating out there, it's a leaf
-                else {
-                    this.path_info[absolute_path] = {
-                        absolute_path: absolute_path,
-                        relative_path: relative_path,
-                        root: relative_root,
-                        document: current_object,
-                        type: 'leaf'
-                    }
+                //inside of a Mixed path there's nothing to populate, it's plain objects all the way down
+                else if(mixed) {
+                    if(i < parts.length && (current_object === null || typeof current_object != 'object'))
+                        throw new PatchPathError("Attempt to operate on empty path - do you need to create the path first?", {path});
+                    info('mixed');
                 }
-            }
-            //if this is a non-array document, and is not a subdoc, but a ref'd model
-            //else if(current_object && current_object.schema && (current_object.schema != relative_root.schema)) {
-            else if(current_object instanceof mongoose.Model) {
-                this.path_info[absolute_path] = {
-                    absolute_path: absolute_path,
-                    relative_path: relative_path,
-                    root: relative_root,
-                    document: current_object,
-                    type: 'root'
+                //if the current object is null or undefined -
+                //this can happen if we're setting a value in a subdoc or object ref that's new
+                else if(current_object === null || typeof current_object == 'undefined') {
+                    //if this isn't the end of the path, there's a problem, the user needs to patch to create this first
+                    if(i != (parts.length) )
+                        throw new PatchPathError("Attempt to operate on empty path - do you need to create the path first?", {path});
+                    info('leaf');
                 }
-                relative_root = current_object;
-                relative_root_index = i-1;
-                if(!this.save_queue.includes(current_object))
-                    this.save_queue.push(current_object);
-            }
-            //if this is an array
-            else if(Array.isArray(current_object)) {
-                let array_schema = current_object.$schema ? current_object.$schema() : current_object._schema;
-
-                //if the current object is an array, the part must be convertable to a integer index
-                if(i < parts.length) {
-                    if(part != '-') {
-                        part = parseInt(part);
-                        if (isNaN(part))
-                            throw new Error("Invalid array index: " + part);
+                //If this is an ObjectId, it may or may not be a ref that needs to be populated
+                else if(current_object instanceof mongoose.Types.ObjectId) {
+                    let schema_type = relative_root.schema.path(relative_path);
+                    //if this has a ref in the schema, it needs to be populated
+                    let is_ref = this.options.autopopulate && //if we're not populating, treat it as a leaf
+                        schema_type &&
+                        schema_type.options.ref;
+                    //refs the populate option doesn't allow are leaves too, they can only be replaced
+                    if(is_ref && !this.populateAllowed(pointer) && i < parts.length)
+                        throw this.populateRefusedError(pointer, path);
+                    if(is_ref && this.populateAllowed(pointer)) {
+                        info('root');
+                        await relative_root.populate({path: relative_path, select: this.populateSelect(pointer)});
+                        current_object = relative_root.get(relative_path);
+                        relative_root = current_object;
+                        relative_root_index = i-1;
+                        this.enqueue(current_object, pointer);
                     }
+                    //this is just an object id floating out there, it's a leaf
+                    else
+                        info('leaf');
                 }
+                //if this is a non-array document, and is not a subdoc, but a ref'd model
+                else if(current_object instanceof mongoose.Model) {
+                    if(i < parts.length && this.options.autopopulate && !this.populateAllowed(pointer))
+                        throw this.populateRefusedError(pointer, path);
+                    info('root');
+                    relative_root = current_object;
+                    relative_root_index = i-1;
+                    this.enqueue(current_object, pointer);
+                }
+                //if this is an array
+                else if(Array.isArray(current_object)) {
+                    //if the current object is an array, the part must be convertable to a integer index
+                    if(i < parts.length && part != '-' && !/^\d+$/.test(part))
+                        throw new PatchPathError("Invalid array index: " + part, {path});
 
-                //if it's an array of linked refs
-                if(array_schema.options.type[0].ref) {
-                    this.path_info[absolute_path] = {
-                        absolute_path: absolute_path,
-                        relative_path: relative_path,
-                        root: relative_root,
-                        document: current_object,
-                        type: 'ref_array'
+                    //if it's an array of linked refs
+                    if(arrayRefModel(current_object)) {
+                        info('ref_array');
+                        //the element being patched, or the first one when it's the whole array
+                        let element = pointer + '/' + ((i < parts.length) ? escapeKey(part) : '0');
+                        if(!relative_root.populated(relative_path) && this.populateAllowed(element))
+                            await relative_root.populate({path: relative_path, select: this.populateSelect(element)});
                     }
-                    if(!relative_root.populated(relative_path))
-                        await relative_root.populate(relative_path);
+                    //if it's just an array of subdocs or values, no linked refs
+                    else
+                        info('array');
                 }
-                //if it's just an array of subdocs, no linked refs
-                else {
-                    this.path_info[absolute_path] = {
-                        absolute_path: absolute_path,
-                        relative_path: relative_path,
-                        root: relative_root,
-                        document: current_object,
-                        type: 'array'
-                    }
-
+                //Map keys are set through the document like any other path, mongoose doesn't allow dots in them
+                else if(current_object instanceof Map) {
+                    if(i < parts.length && (part.includes('.') || part.startsWith('$')))
+                        throw new PatchPathError("Invalid Map key: " + part + ", Map keys can't contain a . or start with a $", {path});
+                    info('map');
                 }
+                //if this is a subdoc
+                else if(current_object instanceof mongoose.Types.Document)
+                    info('subdoc');
+                //by process of elimination, this must be a leaf value
+                else
+                    info('leaf');
 
-            }
-            //if this is a subdoc
-            //else if(current_object.schema && (current_object.schema == relative_root.schema )) {
-            else if(current_object instanceof mongoose.Types.Document) {
-                this.path_info[absolute_path] = {
-                    absolute_path: absolute_path,
-                    relative_path: relative_path,
-                    root: relative_root,
-                    document: current_object,
-                    type: 'subdoc'
-                }
-            }
-            //by process of elimination, this must be a leaf value
-            else {
-                this.path_info[absolute_path] = {
-                    absolute_path: absolute_path,
-                    relative_path: relative_path,
-                    root: relative_root,
-                    document: current_object,
-                    type: 'leaf'
-                }
+                this.path_state[pointer] = {current_object, relative_root, relative_root_index, mixed};
             }
 
             if(i==parts.length)
@@ -424,19 +1832,108 @@ class JSONPatchMongoose {
             if(part == '-')
                 break;
 
-            absolute_path = parts.slice(0,i+1).join('.');
-            relative_path = parts.slice(relative_root_index + 1, i+1).join('.');
+            //keys past a Mixed path can be anything, including keys with a dot, so they're set on the plain object rather than through mongoose
+            let schema_type = (current_object instanceof mongoose.Document || !relative_path) ? null : relative_root.schema.path(relative_path);
+            if(!mixed && schema_type && schema_type.instance == 'Mixed')
+                mixed = {root: relative_root, path: relative_path, index: i};
+            else if(!mixed && part.includes('.') && !(current_object instanceof Map))
+                throw new PatchPathError("Invalid key: " + part + ", only Mixed paths can have keys with a .", {path});
 
-            current_object = current_object[part];
+            current_object = childValue(current_object, part);
         };
     }
 
+    /**
+     * Add a document to the list of documents that will be saved, associating it with the transaction session if there is one
+     * @param {*} document 
+     * @param {String} pointer the json pointer to the document from the root document, used for error reporting
+     */
+    enqueue(document, pointer) {
+        if(this.save_queue.includes(document))
+            return;
+        if(this.session)
+            document.$session(this.session);
+        this.save_queue.push(document);
+        this.document_pointers.set(document, pointer);
+        //remember the version each document was loaded with, it's checked when saving
+        if(this.optimisticOptions())
+            this.document_versions.set(document, document.get(this.versionField(document)));
+    }
+
     async save() {
-        await Promise.all(
+        //operations within a transaction can't be run in parallel on the same session
+        if(this.session) {
+            for(let item of this.save_queue)
+                await this.saveDocument(item);
+            return;
+        }
+        //wait for every save to finish, so persisted is right when one of them fails
+        let results = await Promise.allSettled(
             this.save_queue.map(
-                item => item.save()
+                item => this.saveDocument(item)
             )
         );
+        let failed = results.find(result => result.status == 'rejected');
+        if(failed)
+            throw failed.reason;
+    }
+
+    /**
+     * Save a single queued document, converting any failure into a PatchSaveError that points at the offending operation
+     * @param {*} document 
+     */
+    async saveDocument(document) {
+        let optimistic = this.optimisticOptions();
+        let previous_where = document.$where;
+        //only check documents that are being changed, reading a stale ref'd document isn't a conflict
+        let check_version = optimistic && !document.isNew && document.isModified();
+        let field, expected;
+        if(check_version) {
+            field = this.versionField(document);
+            expected = this.document_versions.get(document);
+            if(typeof expected == 'undefined')
+                expected = null;
+            document.$where = Object.assign({}, previous_where, {[field]: expected});
+            this.incrementVersion(document, field, expected);
+        }
+
+        try {
+            await document.save();
+            this.persisted = true;
+        }
+        catch(err) {
+            let pointer = this.document_pointers.get(document);
+            if(check_version && (err instanceof mongoose.Error.DocumentNotFoundError || err instanceof mongoose.Error.VersionError))
+                throw new PatchConflictError("Document was modified by someone else, " + field + " is no longer: " + toJSONValue(expected), {
+                    path: pointer,
+                    cause: err,
+                    document,
+                    expected: toJSONValue(expected)
+                });
+
+            let path, index, operation;
+            if(err instanceof mongoose.Error.ValidationError) {
+                let field = Object.keys(err.errors)[0];
+                if(typeof pointer != 'undefined' && field)
+                    path = pointer + '/' + field.replace(/\./g, '/');
+            }
+            //find the last operation that touched the invalid field, or the document
+            let target = path || pointer;
+            if(typeof target != 'undefined' && this.patch)
+                for(let i = this.patch.length - 1; i >= 0; i--) {
+                    let item_path = this.patch[i].path;
+                    if(item_path == target || item_path.startsWith(target + '/') || target.startsWith(item_path + '/')) {
+                        index = i;
+                        operation = this.patch[i];
+                        break;
+                    }
+                }
+            throw new PatchSaveError("Failed to save document: " + err.message, {index, operation, path, cause: err, document});
+        }
+        finally {
+            if(check_version)
+                document.$where = previous_where;
+        }
     }
 } 
 
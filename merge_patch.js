@@ -0,0 +1,75 @@
+/*
+ *   Copyright (c) 2020 Ratio Software, LLC
+ *   All rights reserved.
+ *   @author Clayton Gulick <clay@ratiosoftware.com>
+ */
+const mongoose = require('mongoose');
+const { isObject, isPlainObject } = require('./utils');
+const { escapeKey } = require('./pointer');
+const { PatchValidationError } = require('./errors');
+
+/**
+ * Convert a RFC7396 merge patch into the equivalent RFC6902 json-patch operations.
+ *
+ * Members set to null are removed, objects are merged into the current value if it's an object, and anything else - including
+ * arrays - replaces the current value. Refs and subdocs count as objects, so merging {author: {first_name: 'John'}} into a book
+ * changes the ref'd author, rather than replacing the ref with a new author.
+ * @param {*} merge the merge patch, which must be an object
+ * @param {Function} read async function that reads the current value at a json pointer
+ */
+async function mergeToPatch(merge, read) {
+    if(!isObject(merge))
+        throw new PatchValidationError("Invalid merge patch: merge patch should be an object", {cause: merge});
+    let patch = [];
+    await mergeObject('', merge, read, patch);
+    return patch;
+}
+
+async function mergeObject(pointer, merge, read, patch) {
+    for(let key of Object.keys(merge)) {
+        let path = pointer + '/' + escapeKey(key);
+        let value = merge[key];
+        if(typeof value == 'undefined')
+            continue;
+
+        let current = await read(path);
+        let exists = (current !== null) && (typeof current != 'undefined');
+        if(value === null) {
+            if(exists)
+                patch.push({op: 'remove', path});
+            continue;
+        }
+        if(isObject(value) && isMergeTarget(current)) {
+            await mergeObject(path, value, read, patch);
+            continue;
+        }
+        patch.push({op: exists ? 'replace' : 'add', path, value: withoutNulls(value)});
+    }
+}
+
+/**
+ * Whether the current value is an object that a merge patch object is merged into, rather than replacing it
+ * @param {*} value
+ */
+function isMergeTarget(value) {
+    if(value instanceof mongoose.Document || value instanceof Map)
+        return true;
+    //ObjectIds, Dates and the like are values, not objects
+    return isPlainObject(value);
+}
+
+/**
+ * A merge patch object that replaces a value is applied to an empty object, so its null members are dropped
+ * @param {*} value
+ */
+function withoutNulls(value) {
+    if(!isObject(value))
+        return value;
+    let result = {};
+    for(let key of Object.keys(value))
+        if(value[key] !== null)
+            result[key] = withoutNulls(value[key]);
+    return result;
+}
+
+module.exports = mergeToPatch;
@@ -0,0 +1,169 @@
+/*
+ *   Copyright (c) 2020 Ratio Software, LLC
+ *   All rights reserved.
+ *   @author Clayton Gulick <clay@ratiosoftware.com>
+ */
+const http = require('http');
+const JSONPatchMongoose = require('./json_patch_mongoose');
+const { toJSONValue } = require('./utils');
+const { PatchError, PatchConflictError } = require('./errors');
+
+const JSON_PATCH = 'application/json-patch+json';
+const MERGE_PATCH = 'application/merge-patch+json';
+
+/**
+ * Create a request handler for a PATCH endpoint, with the (req, res, next) signature used by node's http server and Express.
+ *
+ * The body is applied as a json-patch for application/json-patch+json, as a merge patch for application/merge-patch+json, and for
+ * application/json an array is treated as a json-patch and an object as a merge patch. An already parsed req.body is used if there is one.
+ *
+ * Options:
+ *  - load(req): async, resolves to the document to patch, or null for a 404. Defaults to Model.findById(req.params.id)
+ *  - getOptions(req): async, resolves to the options for jsonPatch, e.g. rules for the user's role. Autosave is always on. The options
+ *    the model's schema was registered with by the plugin are used when there's no getOptions, or it resolves to nothing.
+ *
+ * The ETag of the document is its version. If-Match is checked against it before the patch is applied, and again when the document is
+ * saved, so a document changed in between fails with 412. Without If-Match, a conflicting save is retried.
+ * Responds with the patched document and its new ETag. Errors are sent as application/problem+json with the status of the PatchError,
+ * and anything that isn't a PatchError, or is one with a 500 status like a failed write, is passed to next if there is one, otherwise
+ * it's a 500 without any details.
+ * @param {*} Model
+ * @param {*} options
+ */
+function createPatchHandler(Model, options = {}) {
+    let load = options.load || (req => Model.findById(req.params && req.params.id));
+    let getOptions = options.getOptions || (() => null);
+
+    return async function(req, res, next) {
+        try {
+            if(req.method != 'PATCH') {
+                res.setHeader('Allow', 'PATCH');
+                return sendProblem(res, 405, "Only PATCH is supported");
+            }
+
+            let media_type = (req.headers['content-type'] || '').split(';')[0].trim().toLowerCase();
+            if(![JSON_PATCH, MERGE_PATCH, 'application/json'].includes(media_type)) {
+                res.setHeader('Accept-Patch', JSON_PATCH + ', ' + MERGE_PATCH);
+                return sendProblem(res, 415, "Unsupported patch media type: " + (media_type || 'none'));
+            }
+
+            let body;
+            try {
+                body = await readBody(req);
+            }
+            catch(err) {
+                return sendProblem(res, 400, "The request body isn't valid JSON");
+            }
+            let is_merge = (media_type == MERGE_PATCH) || (media_type == 'application/json' && !Array.isArray(body));
+
+            let request_options = await getOptions(req);
+            let patch_options = Object.assign({}, request_options || JSONPatchMongoose.registeredOptions(Model.schema), {autosave: true});
+            let document = await load(req);
+            if(!document)
+                return sendProblem(res, 404, "No " + Model.modelName + " found to patch");
+
+            let optimistic = Object.assign({}, patch_options.optimistic === true ? {} : patch_options.optimistic);
+            let field = optimistic.field || document.schema.options.versionKey;
+            let version = document.get(field);
+            let if_match = req.headers['if-match'];
+            if(if_match) {
+                if(!matchesETag(if_match, version))
+                    return sendProblem(res, 412, "The document has changed, its ETag is no longer " + if_match);
+                //if the document changes between loading and saving, don't retry, the client needs to see the new version
+                patch_options.optimistic = Object.assign(optimistic, {version, retries: 0});
+            }
+            else
+                patch_options.optimistic = Object.assign({retries: 2}, optimistic);
+
+            let patcher = new JSONPatchMongoose(document.schema, patch_options);
+            let result;
+            try {
+                let patch = is_merge ? await patcher.mergeToPatch(body, document) : body;
+                result = await patcher.apply(patch, document);
+            }
+            catch(err) {
+                if(if_match && err instanceof PatchConflictError)
+                    return sendProblem(res, 412, err.message);
+                throw err;
+            }
+
+            if(patcher.options.dry_run)
+                return send(res, 200, 'application/json', result);
+            document = patcher.document;
+            let etag = formatETag(document.get(field));
+            if(etag)
+                res.setHeader('ETag', etag);
+            return send(res, 200, 'application/json', document.toJSON());
+        }
+        catch(err) {
+            if(err instanceof PatchError && err.status < 500)
+                return sendProblem(res, err.status, err.message, {
+                    index: err.index,
+                    path: err.path,
+                    operation: err.operation
+                });
+            //a malformed id
+            if(err && err.name == 'CastError')
+                return sendProblem(res, 404, "No " + Model.modelName + " found to patch");
+            if(typeof next == 'function')
+                return next(err);
+            return sendProblem(res, 500, http.STATUS_CODES[500]);
+        }
+    };
+}
+
+/**
+ * Use the body parsed by body parsing middleware if there is one, otherwise read and parse it
+ * @param {*} req
+ */
+async function readBody(req) {
+    if(typeof req.body != 'undefined' && !Buffer.isBuffer(req.body) && typeof req.body != 'string')
+        return req.body;
+    let text = req.body;
+    if(typeof text == 'undefined') {
+        let chunks = [];
+        for await (let chunk of req)
+            chunks.push(chunk);
+        text = Buffer.concat(chunks);
+    }
+    return JSON.parse(text.toString());
+}
+
+function formatETag(version) {
+    if(version === null || typeof version == 'undefined')
+        return null;
+    return '"' + toJSONValue(version) + '"';
+}
+
+/**
+ * Check an If-Match header, which is * or a list of ETags, against the version of the document.
+ * If-Match uses the strong comparison (RFC7232), so a weak ETag never matches.
+ * @param {String} header
+ * @param {*} version
+ */
+function matchesETag(header, version) {
+    if(header.trim() == '*')
+        return true;
+    let etag = formatETag(version);
+    return header.split(',').some(tag => tag.trim() === etag);
+}
+
+function send(res, status, content_type, body) {
+    res.statusCode = status;
+    res.setHeader('Content-Type', content_type);
+    res.end(JSON.stringify(body));
+}
+
+/**
+ * Send a RFC7807 problem details response. Details that are undefined are left out.
+ */
+function sendProblem(res, status, detail, details) {
+    send(res, status, 'application/problem+json', Object.assign({
+        type: 'about:blank',
+        title: http.STATUS_CODES[status],
+        status,
+        detail
+    }, JSON.parse(JSON.stringify(details || {}))));
+}
+
+module.exports = createPatchHandler;
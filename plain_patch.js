@@ -0,0 +1,193 @@
+/*
+ *   Copyright (c) 2020 Ratio Software, LLC
+ *   All rights reserved.
+ *   @author Clayton Gulick <clay@ratiosoftware.com>
+ */
+const JSONPatchMongoose = require('./json_patch_mongoose');
+const { isPlainObject, clonePlain } = require('./utils');
+const { resolveSchemaPath, findRefValues } = require('./resolve_schema');
+const { parsePointer, readParts } = require('./pointer');
+const { castPathValue } = require('./cast_value');
+const { PatchPathError, PatchSaveError } = require('./errors');
+
+/**
+ * Applies patches to plain objects, like the results of a lean query or cached JSON, without hydrating a document.
+ * The rules, middleware, keyed paths and the populate option work the same way they do for a document, and values are cast
+ * through the model's schema. The patch is applied to a copy, the object that's passed in isn't changed.
+ *
+ * Refs that are plain objects in the object are patched through like populated refs, refs that are ids are loaded with a lean
+ * query when a path goes through them. Ref'd documents can't be created or updated by setting an object on a ref.
+ * Nothing is saved, unless the replace_one option is on - then every object the patch changed, the root object and the ref'd
+ * objects, is written back with replaceOne, with its refs collapsed back to ids.
+ */
+class JSONPatchPlain extends JSONPatchMongoose {
+    constructor(model, options) {
+        super(model.schema, options || {});
+        this.model = model;
+        //replace_one is the autosave of plain objects, autosave on the model's options doesn't apply to them
+        this.options.autosave = Boolean(this.options.replace_one);
+    }
+
+    /**
+     * Apply the patch to a copy of the object, resolving to the copy
+     * @param {Array} patch
+     * @param {*} object
+     */
+    async applyToObject(patch, object) {
+        if(!isPlainObject(object))
+            throw new PatchPathError("Expected a plain object to patch", {cause: object});
+        this.checkPatch(patch);
+        this.models = new Map();
+        this.changed = new Set();
+
+        let document = clonePlain(object);
+        this.models.set(document, this.model);
+        await this.applyOperations(patch, document);
+        return this.document;
+    }
+
+    /**
+     * Refs are loaded one at a time as populatePath reaches them
+     */
+    async planPopulate() {
+    }
+
+    /**
+     * Optimistic concurrency needs the version a document was loaded with, which a plain object doesn't have
+     */
+    optimisticOptions() {
+        return null;
+    }
+
+    /**
+     * The patch is applied to a copy, which is dropped when the patch fails
+     */
+    async restore() {
+    }
+
+    /**
+     * Audit history is only recorded for documents
+     */
+    async recordHistory() {
+    }
+
+    /**
+     * Make sure the container of every part of the path exists, loading the refs the path goes through that are still ids
+     * @param {String} path the json pointer
+     */
+    async populatePath(path) {
+        let parts = parsePointer(path);
+        let refs = resolveSchemaPath(this.schema, parts).refs;
+        let value = this.document;
+        for(let i=0; i<parts.length; i++) {
+            if(value === null || typeof value != 'object')
+                throw new PatchPathError("Attempt to operate on empty path - do you need to create the path first?", {path});
+            let parent = value;
+            value = readParts(parent, [parts[i]]);
+
+            let ref = refs.find(ref => ref.index == i);
+            if(!ref || value === null || typeof value == 'undefined')
+                continue;
+            if(!isPlainObject(value)) {
+                if(!this.options.autopopulate)
+                    throw new PatchPathError("The ref at " + ref.pointer + " isn't populated", {path});
+                if(!this.populateAllowed(ref.pointer))
+                    throw this.populateRefusedError(ref.pointer, path);
+                let loaded = await ref.model.findById(value)
+                    .select(this.populateSelect(ref.pointer))
+                    .session(this.options.session || null)
+                    .lean();
+                if(!loaded)
+                    throw new PatchPathError("No " + ref.model.modelName + " found for the ref at " + ref.pointer, {path});
+                parent[parts[i]] = value = loaded;
+            }
+            this.models.set(value, ref.model);
+            this.enqueue(value, ref.pointer);
+        }
+    }
+
+    getPath(pointer) {
+        return readParts(this.document, parsePointer(pointer));
+    }
+
+    setPath(pointer, value) {
+        let parts = parsePointer(pointer);
+        if(!parts.length)
+            throw new PatchPathError("The whole object can't be replaced", {path: pointer});
+        let parent = readParts(this.document, parts.slice(0, -1));
+        if(parent === null || typeof parent != 'object')
+            throw new PatchPathError("Attempt to operate on empty path - do you need to create the path first?", {path: pointer});
+        let key = parts[parts.length - 1];
+        if(typeof value == 'undefined')
+            delete parent[key];
+        else
+            parent[key] = value;
+        this.touchPath(pointer);
+    }
+
+    /**
+     * Remember that the object the pointer is in changed, so replace_one writes it
+     * @param {String} pointer
+     */
+    touchPath(pointer) {
+        let parts = parsePointer(pointer);
+        let refs = resolveSchemaPath(this.schema, parts).refs;
+        let owner = refs.length ? readParts(this.document, parts.slice(0, refs[refs.length - 1].index + 1)) : this.document;
+        this.changed.add(owner);
+    }
+
+    /**
+     * Values are cast as plain values, see castPathValue. A path that isn't in a strict schema is an error, rather than being
+     * ignored like it would be by a document.
+     * @param {String} pointer
+     * @param {*} value
+     * @param {String} op
+     */
+    castValue(pointer, value, op) {
+        let parts = parsePointer(pointer);
+        let resolved = resolveSchemaPath(this.schema, parts);
+        if(resolved.error && !(resolved.error.code == 'unknown_path' && resolved.schema.options.strict === false))
+            throw new PatchPathError(resolved.error.message, {path: pointer});
+        return castPathValue(this.schema, parts, value, {casters: this.options.casters, op, plain: true});
+    }
+
+    /**
+     * Ref'd documents are only created or updated for documents
+     * @param {String} pointer
+     * @param {*} value
+     */
+    async createOrLinkRefs(pointer, value) {
+        let resolved = resolveSchemaPath(this.schema, parsePointer(pointer));
+        if(!resolved.error && !resolved.mixed && !resolved.virtual &&
+            findRefValues(resolved.schema, resolved.path, {value}, 'value', resolved.element).length)
+            throw new PatchPathError("Ref'd documents can't be created or updated when patching a plain object", {path: pointer});
+        return value;
+    }
+
+    /**
+     * Write every object the patch changed back with replaceOne, with its refs collapsed back to ids. The replacement is validated.
+     */
+    async save() {
+        for(let object of this.save_queue) {
+            if(!this.changed.has(object))
+                continue;
+            let pointer = this.document_pointers.get(object);
+            if(object._id === null || typeof object._id == 'undefined')
+                throw new PatchSaveError("Can't replace an object without an _id", {path: pointer, document: object});
+
+            let model = this.models.get(object);
+            let holder = {replacement: clonePlain(object)};
+            for(let ref of findRefValues(model.schema, '', holder, 'replacement'))
+                ref.container[ref.key] = ref.container[ref.key]._id;
+            try {
+                await model.replaceOne({_id: object._id}, holder.replacement, {runValidators: true})
+                    .session(this.options.session || null);
+            }
+            catch(err) {
+                throw new PatchSaveError("Failed to save document: " + err.message, {path: pointer, cause: err, document: object});
+            }
+        }
+    }
+}
+
+module.exports = JSONPatchPlain;
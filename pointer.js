@@ -0,0 +1,88 @@
+/*
+ *   Copyright (c) 2020 Ratio Software, LLC
+ *   All rights reserved.
+ *   @author Clayton Gulick <clay@ratiosoftware.com>
+ */
+const mongoose = require('mongoose');
+const { PatchPathError } = require('./errors');
+
+/**
+ * Keys that would reach the prototype of a plain object instead of one of its members
+ */
+const FORBIDDEN_KEYS = ['__proto__', 'constructor', 'prototype'];
+
+/**
+ * Parse a RFC6901 json pointer into its unescaped parts, so '/metadata/a~1b' is ['metadata', 'a/b'] and '' is the whole document.
+ * Throws a PatchPathError for a malformed pointer, and for a pointer with a part that would reach an object's prototype.
+ * @param {String} pointer
+ */
+function parsePointer(pointer) {
+    if(typeof pointer != 'string')
+        throw new PatchPathError("Invalid json pointer: " + pointer, {path: pointer});
+    if(pointer === '')
+        return [];
+    if(pointer[0] != '/')
+        throw new PatchPathError("Invalid json pointer, it should start with a /: " + pointer, {path: pointer});
+
+    return pointer.slice(1).split('/').map(part => {
+        if(/~([^01]|$)/.test(part))
+            throw new PatchPathError("Invalid escape sequence in json pointer: " + pointer, {path: pointer});
+        let key = part.replace(/~1/g, '/').replace(/~0/g, '~');
+        if(FORBIDDEN_KEYS.includes(key))
+            throw new PatchPathError("Json pointer can't use the key " + key + ": " + pointer, {path: pointer});
+        return key;
+    });
+}
+
+/**
+ * The reverse of parsePointer
+ * @param {Array} parts
+ */
+function formatPointer(parts) {
+    return parts.map(part => '/' + escapeKey(part)).join('');
+}
+
+/**
+ * Escape a key for use as a json pointer segment, per RFC6901
+ * @param {String} key
+ */
+function escapeKey(key) {
+    return String(key).replace(/~/g, '~0').replace(/\//g, '~1');
+}
+
+/**
+ * Read one level down from a value: a document path, an array element, a Map entry or an own member of a plain object.
+ * Keys with a dot are never document paths, mongoose would read them as nested paths.
+ * @param {*} value
+ * @param {String} key
+ */
+function childValue(value, key) {
+    if(value === null || typeof value != 'object')
+        return undefined;
+    if(value instanceof Map)
+        return value.get(key);
+    if(Array.isArray(value))
+        return /^\d+$/.test(key) ? value[parseInt(key)] : undefined;
+    if(value instanceof mongoose.Document)
+        return key.includes('.') ? undefined : value.get(key);
+    return Object.prototype.hasOwnProperty.call(value, key) ? value[key] : undefined;
+}
+
+/**
+ * Read the value at the parts of a pointer, starting from value
+ * @param {*} value
+ * @param {Array} parts
+ */
+function readParts(value, parts) {
+    for(let part of parts)
+        value = childValue(value, part);
+    return value;
+}
+
+module.exports = {
+    parsePointer,
+    formatPointer,
+    escapeKey,
+    childValue,
+    readParts
+};
@@ -0,0 +1,189 @@
+/*
+ *   Copyright (c) 2020 Ratio Software, LLC
+ *   All rights reserved.
+ *   @author Clayton Gulick <clay@ratiosoftware.com>
+ */
+const mongoose = require('mongoose');
+const { isPlainObject } = require('./utils');
+const { formatPointer } = require('./pointer');
+
+/**
+ * Look up the model for a ref, which may be a model name or the model itself
+ * @param {*} ref
+ */
+function refModel(ref) {
+    if(typeof ref == 'string')
+        return mongoose.model(ref);
+    if(ref && ref.prototype instanceof mongoose.Model)
+        return ref;
+    return null;
+}
+
+/**
+ * Resolve the parts of a json pointer against a mongoose schema without looking at a document. This follows the same
+ * structure that populatePath does - subdocs and arrays are walked into, and refs are followed into the ref'd model's schema.
+ *
+ * The result describes the leaf:
+ *  - schema: the schema that owns the leaf, which is the ref'd model's schema when the path goes through a ref
+ *  - path: the mongoose dotted path of the leaf, relative to that schema
+ *  - schema_type: the SchemaType of the leaf, undefined for nested objects
+ *  - element: true if the leaf is an array element, in which case schema_type is the array's SchemaType
+ *  - refs: the refs crossed on the way, as {index, pointer, model} where index is the position of the ref in parts
+ *  - arrays: the arrays crossed on the way, as {index, pointer} where index is the position of the array index in parts
+ *  - nested, mixed, virtual: set if the leaf is a nested object, is inside a Mixed path, or is a virtual
+ *  - error: set if the path can't exist in the schema, with a code of 'unknown_path' or 'index'
+ * @param {*} schema
+ * @param {Array} parts the unescaped pointer parts, without the leading ''
+ */
+function resolveSchemaPath(schema, parts) {
+    let result = {
+        schema,
+        path: '',
+        refs: [],
+        arrays: []
+    };
+    let local = [];
+
+    for(let i=0; i<parts.length; i++) {
+        local.push(parts[i]);
+        let local_path = local.join('.');
+        let pointer = formatPointer(parts.slice(0, i+1));
+        let is_last = (i == parts.length - 1);
+        let path_type = schema.pathType(local_path);
+        let schema_type = schema.path(local_path);
+
+        result.schema = schema;
+        result.path = local_path;
+        result.schema_type = schema_type;
+
+        if(path_type == 'nested') {
+            result.nested = is_last;
+            continue;
+        }
+
+        if(path_type == 'virtual') {
+            result.virtual = true;
+            return result;
+        }
+
+        if(!schema_type)
+            return Object.assign(result, {
+                error: {code: 'unknown_path', message: "Path does not exist in schema: " + pointer}
+            });
+
+        if(schema_type.instance == 'Mixed') {
+            result.mixed = true;
+            return result;
+        }
+
+        if(is_last)
+            return result;
+
+        if(schema_type.$isSingleNested) {
+            schema = schema_type.schema;
+            local = [];
+            continue;
+        }
+
+        if(schema_type.$isMongooseArray) {
+            i++;
+            let index = parts[i];
+            result.arrays.push({index: i, pointer});
+            if(index != '-' && !/^\d+$/.test(index))
+                return Object.assign(result, {
+                    error: {code: 'index', message: "Invalid array index: " + index + " at " + pointer}
+                });
+            if(i == parts.length - 1) {
+                result.element = true;
+                return result;
+            }
+            if(index == '-')
+                return Object.assign(result, {
+                    error: {code: 'index', message: "'-' can only be the last part of a path: " + pointer}
+                });
+            if(schema_type.$isMongooseDocumentArray) {
+                schema = schema_type.schema;
+                local = [];
+                continue;
+            }
+            let model = schema_type.caster && refModel(schema_type.caster.options.ref);
+            if(model) {
+                result.refs.push({index: i, pointer: formatPointer(parts.slice(0, i+1)), model});
+                schema = model.schema;
+                local = [];
+                continue;
+            }
+            //arrays of arrays and arrays of primitives can't be walked any further by the schema
+            result.mixed = true;
+            return result;
+        }
+
+        if(schema_type.instance == 'Map') {
+            //the map value type is resolved by schema.path(), keep going
+            continue;
+        }
+
+        let model = refModel(schema_type.options.ref);
+        if(model) {
+            result.refs.push({index: i, pointer, model});
+            schema = model.schema;
+            local = [];
+            continue;
+        }
+
+        return Object.assign(result, {
+            error: {code: 'unknown_path', message: "Path does not exist in schema: " + formatPointer(parts.slice(0, i+2))}
+        });
+    }
+
+    return result;
+}
+
+/**
+ * Find the refs that are set to an object in a value that's being set at a schema path: the value itself if the path is a ref,
+ * the elements of an array of refs, and refs inside subdocs and nested objects. An object for a ref means a ref'd document is
+ * created, or updated if it has an _id. Refs inside those objects aren't included, they belong to the ref'd model's schema.
+ *
+ * The value is read from container[key], so the caller can replace it. Returns a list of {model, container, key, parts}, where parts
+ * are the pointer parts of the ref in the value.
+ * @param {*} schema the schema that owns the path
+ * @param {String} path the mongoose dotted path, '' for the whole document
+ * @param {*} container
+ * @param {*} key
+ * @param {Boolean} element true if the value is an element of the array at path
+ * @param {Array} found
+ * @param {Array} parts
+ */
+function findRefValues(schema, path, container, key, element, found = [], parts = []) {
+    let value = container[key];
+    let schema_type = path ? schema.path(path) : null;
+    if(!schema_type) {
+        if(path && schema.pathType(path) != 'nested')
+            return found;
+        if(isPlainObject(value))
+            for(let child of Object.keys(value))
+                findRefValues(schema, path ? path + '.' + child : child, value, child, false, found, parts.concat(child));
+        return found;
+    }
+
+    if(schema_type.$isMongooseArray && !element) {
+        if(Array.isArray(value))
+            for(let i=0; i<value.length; i++)
+                findRefValues(schema, path, value, i, true, found, parts.concat(String(i)));
+        return found;
+    }
+    if(schema_type.$isMongooseDocumentArray || schema_type.$isSingleNested)
+        return findRefValues(schema_type.schema, '', container, key, false, found, parts);
+
+    let options = element ? (schema_type.caster && schema_type.caster.options) : schema_type.options;
+    let model = options && refModel(options.ref);
+    if(model && isPlainObject(value))
+        found.push({model, container, key, parts});
+    return found;
+}
+
+module.exports = {
+    refModel,
+    resolveSchemaPath,
+    findRefValues
+};
@@ -0,0 +1,113 @@
+/*
+ *   Copyright (c) 2020 Ratio Software, LLC
+ *   All rights reserved.
+ *   @author Clayton Gulick <clay@ratiosoftware.com>
+ */
+const { resolveSchemaPath } = require('./resolve_schema');
+const { parsePointer } = require('./pointer');
+
+let compiled = new WeakMap();
+
+/**
+ * Collect the patch annotations in a schema, e.g. publisher: {type: String, patch: {readonly: true}}.
+ * Returns a list of {path, annotation}, where path is the mongoose dotted path, without array indexes, from the root of the schema.
+ * Subdocs are included, refs aren't, they're compiled with the ref'd schema. The result is cached per schema.
+ * @param {*} schema
+ */
+function compileSchemaRules(schema) {
+    if(!compiled.has(schema)) {
+        let rules = [];
+        collectRules(schema, '', rules);
+        compiled.set(schema, rules);
+    }
+    return compiled.get(schema);
+}
+
+function collectRules(schema, prefix, rules) {
+    schema.eachPath((path, schema_type) => {
+        let full_path = prefix + path;
+        let annotation = schema_type.options && schema_type.options.patch;
+        //arrays of refs or primitives can be annotated on the element type
+        if(!annotation && schema_type.$isMongooseArray && !schema_type.$isMongooseDocumentArray && schema_type.caster && schema_type.caster.options)
+            annotation = schema_type.caster.options.patch;
+        if(annotation)
+            rules.push({path: full_path, annotation});
+        if(schema_type.schema)
+            collectRules(schema_type.schema, full_path + '.', rules);
+    });
+}
+
+/**
+ * Check an operation against the patch annotations of the schemas it touches, following refs into the ref'd schemas.
+ * An annotation applies to an operation on its path, on anything inside of it - including through refs - and on anything containing it
+ * in the same document, since replacing the container replaces the annotated path too.
+ * Returns {path, rule} for the first annotation that doesn't allow the operation, or null if they all do.
+ * @param {*} schema the schema of the root document
+ * @param {*} item the patch operation
+ * @param {*} context {user}, where user has roles, or a single role
+ */
+function checkSchemaRules(schema, item, context) {
+    //tests don't change anything, and copy only reads from
+    if(item.op == 'test')
+        return null;
+    let pointers = [item.path];
+    if(item.op == 'move')
+        pointers.push(item.from);
+
+    for(let pointer of pointers) {
+        let parts = parsePointer(pointer);
+        let resolved = resolveSchemaPath(schema, parts);
+        let array_indexes = new Set(resolved.arrays.map(array => array.index));
+
+        //split the path into the part in each document
+        let segments = [];
+        let start = 0;
+        let current = schema;
+        for(let ref of resolved.refs) {
+            segments.push({schema: current, start, end: ref.index});
+            current = ref.model.schema;
+            start = ref.index + 1;
+        }
+        segments.push({schema: current, start, end: parts.length - 1, last: true});
+
+        for(let segment of segments) {
+            let local_path = parts
+                .slice(segment.start, segment.end + 1)
+                .filter((part, i) => !array_indexes.has(segment.start + i))
+                .join('.');
+            for(let rule of compileSchemaRules(segment.schema)) {
+                let applies = (rule.path == local_path) ||
+                    local_path.startsWith(rule.path + '.') ||
+                    (segment.last && (local_path === '' || rule.path.startsWith(local_path + '.')));
+                if(applies && !isAllowed(rule.annotation, item.op, context))
+                    return {path: pointer, rule};
+            }
+        }
+    }
+    return null;
+}
+
+/**
+ * Evaluate an annotation: {readonly} rejects every change, {ops} limits the operations, and {roles} requires the user to have one of them
+ * @param {*} annotation
+ * @param {String} op
+ * @param {*} context
+ */
+function isAllowed(annotation, op, context) {
+    if(annotation.readonly)
+        return false;
+    if(annotation.ops && !annotation.ops.includes(op))
+        return false;
+    if(annotation.roles) {
+        let user = context && context.user;
+        let roles = user ? [].concat(user.roles || user.role || []) : [];
+        if(!annotation.roles.some(role => roles.includes(role)))
+            return false;
+    }
+    return true;
+}
+
+module.exports = {
+    compileSchemaRules,
+    checkSchemaRules
+};
@@ -23,7 +23,17 @@ let Author = new Schema({
         address_1: String,
         address_2: String
     },
-    phone_numbers: [String]
+    phone_numbers: [String],
+    royalties: {
+        type: Number,
+        patch: {roles: ['admin'], ops: ['replace']}
+    },
+    metadata: {
+        type: Map,
+        of: String
+    },
+    settings: Schema.Types.Mixed,
+    ratings: [[Number]]
 }, {
 
 });
@@ -25,7 +25,19 @@ let Book = new Schema({
         }
     ],
     reference_id: Schema.Types.ObjectId,
-    publisher: String
+    publisher: String,
+    isbn: {
+        type: String,
+        patch: {readonly: true}
+    },
+    genre: {
+        type: String,
+        enum: ['fantasy', 'science fiction']
+    },
+    pages: {
+        type: Number,
+        min: 1
+    }
 }, {
 
 });
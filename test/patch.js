@@ -7,17 +7,37 @@ const mms = require("mongodb-memory-server");
 const mongoose = require("mongoose");
 const expect = require("chai").expect;
 const assert = require("assert");
+const http = require("http");
 
 const Book =  require('./models/book');
 const Author = require('./models/author');
 const Series = require('./models/series');
+const JSONPatchMongoose = require('../json_patch_mongoose');
+const {
+    generatePatch,
+    transform,
+    createPatchHandler,
+    PatchError,
+    PatchValidationError,
+    PatchRuleViolationError,
+    PatchPathError,
+    PatchCastError,
+    PatchTestFailedError,
+    PatchSaveError,
+    PatchConflictError,
+    PatchNotFoundError,
+    PatchNotAtomicError
+} = require('../index');
 
 let mongod;
 let author_id, coauthor_id, collaborator_id, series_id, book_id;
 
-before(async () => {
+before(async function() {
+    this.timeout(60000);
 
-    mongod = new mms.MongoMemoryServer();
+    //a single node replica set, transactions need one
+    mongod = new mms.MongoMemoryReplSet({replSet: {storageEngine: 'wiredTiger'}});
+    await mongod.waitUntilRunning();
     let connection_string = await mongod.getConnectionString();
     await mongoose.connect(connection_string, {useNewUrlParser: true});
 
@@ -28,67 +48,218 @@ after(async () => {
     await mongod.stop();
 });
 
+async function initDocuments() {
+    await Author.deleteMany({});
+    await Series.deleteMany({});
+    await Book.deleteMany({});
+
+    let author = new Author(
+        {
+            first_name: "JRR", 
+            last_name: "Tolkien", 
+            address: {city: "NoWhere", state:"TX", zip: "12345", address_1: "123 anywhere dr"},
+            phone_numbers: ["111-111-1111", "222-222-2222"]
+        });
+    await author.save();
+    author_id = author._id;
+
+    let coauthor = new Author(
+        {
+            first_name: "Clay", 
+            last_name: "Gulick", 
+            address: {city: "NoWhere", state:"TX", zip: "12345", address_1: "123 anywhere dr"},
+            phone_numbers: ["111-111-1111", "222-222-2222"]
+        });
+    await coauthor.save();
+    coauthor_id = coauthor._id;
+
+    let collaborator = new Author(
+        {
+            first_name: "Zaphod", 
+            last_name: "Beeblebrox", 
+            address: {city: "NoWhere", state:"TX", zip: "12345", address_1: "123 anywhere dr"},
+            phone_numbers: ["111-111-1111", "222-222-2222"]
+        });
+    await collaborator.save();
+    collaborator_id = collaborator._id;
+    
+    let series = new Series({name: "Lord of the Rings", books: []});
+    await series.save();
+    series_id = series._id;
+
+    let book = new Book({name: "The Hobbit", author: author});
+    await book.save();
+    book_id = book._id;
+
+    series.books.push(book);
+    await series.save();
+}
+
 describe("Transform", () => {
 
+    it("should shift array indices after an insert", () => {
+        let patch = transform(
+            [{ op: "replace", path: "/phone_numbers/3", value: "444-444-4444" }],
+            [{ op: "add", path: "/phone_numbers/1", value: "000-000-0000" }]
+        );
+        assert.deepStrictEqual(patch, [{ op: "replace", path: "/phone_numbers/4", value: "444-444-4444" }]);
+    });
+
+    it("should shift array indices after a remove", () => {
+        let patch = transform(
+            [{ op: "replace", path: "/collaborators/2/gets_credit", value: true }],
+            [{ op: "remove", path: "/collaborators/0" }]
+        );
+        assert.deepStrictEqual(patch, [{ op: "replace", path: "/collaborators/1/gets_credit", value: true }]);
+    });
+
+    it("should drop operations against a removed subtree", () => {
+        let patch = transform(
+            [
+                { op: "replace", path: "/address/city", value: "Hobbiton" },
+                { op: "replace", path: "/first_name", value: "Jimmy" }
+            ],
+            [{ op: "remove", path: "/address" }]
+        );
+        assert.deepStrictEqual(patch, [{ op: "replace", path: "/first_name", value: "Jimmy" }]);
+    });
+
+    it("should follow a moved value", () => {
+        let patch = transform(
+            [{ op: "replace", path: "/collaborators/2/gets_credit", value: true }],
+            [{ op: "move", from: "/collaborators/2", path: "/collaborators/0" }]
+        );
+        assert.deepStrictEqual(patch, [{ op: "replace", path: "/collaborators/0/gets_credit", value: true }]);
+    });
+
+    it("should put the other patch's insert first when both insert at the same index", () => {
+        let patch = transform(
+            [{ op: "add", path: "/phone_numbers/1", value: "mine" }],
+            [{ op: "add", path: "/phone_numbers/1", value: "theirs" }]
+        );
+        assert.deepStrictEqual(patch, [{ op: "add", path: "/phone_numbers/2", value: "mine" }]);
+    });
+
+    it("should account for earlier operations in the same patch", () => {
+        //the second operation was made after the first removed index 0, so it's pointing at the original index 1
+        let patch = transform(
+            [
+                { op: "remove", path: "/phone_numbers/0" },
+                { op: "replace", path: "/phone_numbers/0", value: "222" }
+            ],
+            [{ op: "add", path: "/phone_numbers/1", value: "000" }]
+        );
+        assert.deepStrictEqual(patch, [
+            { op: "remove", path: "/phone_numbers/0" },
+            { op: "replace", path: "/phone_numbers/1", value: "222" }
+        ]);
+    });
+
+    it("should apply a stale patch after a newer one", async () => {
+        await initDocuments();
+        let author = await Author.findOne({_id: author_id});
+        let theirs = [{ op: "add", path: "/phone_numbers/0", value: "000-000-0000" }];
+        let mine = [{ op: "replace", path: "/phone_numbers/1", value: "333-333-3333" }];
+        await author.jsonPatch(theirs);
+        await author.jsonPatch(transform(mine, theirs));
+        author = await Author.findOne({_id: author_id});
+        assert.deepStrictEqual(author.phone_numbers.toObject(), ["000-000-0000", "111-111-1111", "333-333-3333"]);
+    });
 });
 
 describe("Revert Patch", () => {
 
-});
+    beforeEach("init documents", initDocuments);
+
+    it("should return an inverse patch that restores the document", async () => {
+        let author = await Author.findOne({_id: author_id});
+        let original = author.toObject();
+        let patch = [
+            { op: "replace", path: "/first_name", value: "Jimmy" },
+            { op: "add", path: "/address/address_2", value: "Apt 1" },
+            { op: "add", path: "/phone_numbers/-", value: "333-333-3333" },
+            { op: "add", path: "/phone_numbers/0", value: "000-000-0000" },
+            { op: "remove", path: "/phone_numbers/2" },
+            { op: "remove", path: "/last_name" },
+            { op: "copy", from: "/first_name", path: "/email_address" }
+        ];
+        let inverse = await author.jsonPatch(patch);
+        author = await Author.findOne({_id: author_id});
+        assert.equal(author.first_name, "Jimmy");
+        assert.deepStrictEqual(author.phone_numbers.toObject(), ["000-000-0000", "111-111-1111", "333-333-3333"]);
+
+        await author.jsonPatch(inverse);
+        author = await Author.findOne({_id: author_id});
+        let reverted = author.toObject();
+        delete original.__v;
+        delete reverted.__v;
+        assert.deepStrictEqual(reverted, original);
+    });
 
-describe("Revert Transformation", () => {
+    it("should revert changes made through populated paths", async () => {
+        let book = await Book.findOne({_id: book_id});
+        let patch = [
+            { op: "replace", path: "/author/first_name", value: "James" },
+            { op: "replace", path: "/name", value: "There And Back Again" }
+        ];
+        let inverse = await book.jsonPatch(patch);
+        assert.deepStrictEqual(inverse, [
+            { op: "replace", path: "/name", value: "The Hobbit" },
+            { op: "replace", path: "/author/first_name", value: "JRR" }
+        ]);
+
+        book = await Book.findOne({_id: book_id});
+        await book.jsonPatch(inverse);
+        book = await Book.findOne({_id: book_id});
+        await book.populate("author");
+        assert.equal(book.name, "The Hobbit");
+        assert.equal(book.author.first_name, "JRR");
+    });
 
-});
+    it("should revert replacing a ref with the original id", async () => {
+        let book = await Book.findOne({_id: book_id});
+        let inverse = await book.jsonPatch([
+            { op: "replace", path: "/author", value: coauthor_id }
+        ]);
+        assert.deepStrictEqual(inverse, [
+            { op: "replace", path: "/author", value: author_id.toString() }
+        ]);
+    });
 
-describe("Patch", () => {
+});
 
-    beforeEach("init documents", async () => {
-        await Author.deleteMany({});
-        await Series.deleteMany({});
-        await Book.deleteMany({});
-
-        let author = new Author(
-            {
-                first_name: "JRR", 
-                last_name: "Tolkien", 
-                address: {city: "NoWhere", state:"TX", zip: "12345", address_1: "123 anywhere dr"},
-                phone_numbers: ["111-111-1111", "222-222-2222"]
-            });
-        await author.save();
-        author_id = author._id;
-
-        let coauthor = new Author(
-            {
-                first_name: "Clay", 
-                last_name: "Gulick", 
-                address: {city: "NoWhere", state:"TX", zip: "12345", address_1: "123 anywhere dr"},
-                phone_numbers: ["111-111-1111", "222-222-2222"]
-            });
-        await coauthor.save();
-        coauthor_id = coauthor._id;
-
-        let collaborator = new Author(
-            {
-                first_name: "Zaphod", 
-                last_name: "Beeblebrox", 
-                address: {city: "NoWhere", state:"TX", zip: "12345", address_1: "123 anywhere dr"},
-                phone_numbers: ["111-111-1111", "222-222-2222"]
-            });
-        await collaborator.save();
-        collaborator_id = collaborator._id;
-        
-        let series = new Series({name: "Lord of the Rings", books: []});
-        await series.save();
-        series_id = series._id;
+describe("Revert Transformation", () => {
 
-        let book = new Book({name: "The Hobbit", author: author});
-        await book.save();
-        book_id = book._id;
+    beforeEach("init documents", initDocuments);
+
+    it("should undo a patch after later patches were applied", async () => {
+        let author = await Author.findOne({_id: author_id});
+        let inverse = await author.jsonPatch([{ op: "remove", path: "/phone_numbers/0" }]);
+        let later = [
+            { op: "add", path: "/phone_numbers/0", value: "000-000-0000" },
+            { op: "replace", path: "/first_name", value: "Jimmy" }
+        ];
+        await author.jsonPatch(later);
+
+        await author.jsonPatch(transform(inverse, later));
+        author = await Author.findOne({_id: author_id});
+        assert.deepStrictEqual(author.phone_numbers.toObject(), ["000-000-0000", "111-111-1111", "222-222-2222"]);
+        assert.equal(author.first_name, "Jimmy");
+    });
 
-        series.books.push(book);
-        await series.save();
+    it("should drop the parts of an undo that were overwritten", async () => {
+        let author = await Author.findOne({_id: author_id});
+        let inverse = await author.jsonPatch([{ op: "replace", path: "/address/city", value: "Hobbiton" }]);
+        let later = [{ op: "replace", path: "/address", value: { city: "Bree", state: "TX" } }];
+        await author.jsonPatch(later);
 
+        assert.deepStrictEqual(transform(inverse, later), []);
     });
+});
+
+describe("Patch", () => {
+
+    beforeEach("init documents", initDocuments);
 
     describe("add", () => {
         it("should set a value", async () => {
@@ -178,15 +349,119 @@ describe("Patch", () => {
             assert.equal(book.name, "Return Of The King");
 
         });
+
+        it("should create nested ref'd documents, and save them with the document without autosave", async () => {
+            let book = await Book.findOne({_id: book_id});
+            let patch = [
+                {op: "replace", path: "/coauthor", value: {gets_credit: true, author: {
+                    first_name: "Christopher",
+                    best_sellers: [{name: "The Children Of Hurin"}]
+                }}},
+                {op: "add", path: "/collaborators/-", value: {gets_credit: false, author: {first_name: "Alan"}}}
+            ];
+            await book.jsonPatch(patch, {autosave: false});
+            //the patch itself isn't changed
+            assert.equal(patch[0].value.author.first_name, "Christopher");
+            assert.equal(await Author.countDocuments({first_name: "Christopher"}), 0);
+
+            await book.save();
+            book = await Book.findOne({_id: book_id}).populate('coauthor.author collaborators.author');
+            assert.equal(book.coauthor.author.first_name, "Christopher");
+            assert.equal(book.collaborators[0].author.first_name, "Alan");
+            let author = await Author.findOne({_id: book.coauthor.author._id}).populate('best_sellers');
+            assert.equal(author.best_sellers[0].name, "The Children Of Hurin");
+        });
+
+        it("should not save ref'd documents from a patch that failed", async () => {
+            let book = await Book.findOne({_id: book_id});
+            await assert.rejects(book.jsonPatch([
+                {op: "replace", path: "/author", value: {first_name: "Ghost"}},
+                {op: "replace", path: "/coauthor/author", value: {_id: coauthor_id.toString(), last_name: "Baynes"}},
+                {op: "test", path: "/name", value: "nope"}
+            ], {autosave: false}), PatchTestFailedError);
+
+            await book.save();
+            assert.equal(await Author.countDocuments({first_name: "Ghost"}), 0);
+            let coauthor = await Author.findOne({_id: coauthor_id});
+            assert.equal(coauthor.last_name, "Gulick");
+        });
+
+        it("should update and link a ref'd document given with an _id", async () => {
+            let book = await Book.findOne({_id: book_id});
+            await book.jsonPatch([
+                {op: "replace", path: "/coauthor/author", value: {_id: coauthor_id.toString(), last_name: "Baynes"}},
+                {op: "add", path: "/collaborators/-", value: {author: coauthor_id.toString()}}
+            ]);
+            book = await Book.findOne({_id: book_id});
+            assert.equal(book.coauthor.author.toString(), coauthor_id.toString());
+            assert.equal(book.collaborators[0].author.toString(), coauthor_id.toString());
+            let coauthor = await Author.findOne({_id: coauthor_id});
+            assert.equal(coauthor.last_name, "Baynes");
+        });
     });
 
     describe("move", () => {
-        it("should set new path and set old path to null", async () => {
-
+        it("should set new path and remove the old path", async () => {
+            let author = await Author.findOne({_id: author_id});
+            await author.jsonPatch([{ op: "move", from: "/first_name", path: "/email_address" }]);
+            author = await Author.findOne({_id: author_id});
+            assert.equal(author.email_address, "JRR");
+            assert.equal(author.first_name, undefined);
         });
 
         it("should move an array element to a new position", async () => {
+            let author = await Author.findOne({_id: author_id});
+            await author.jsonPatch([
+                { op: "add", path: "/phone_numbers/-", value: "333-333-3333" },
+                //the target index is evaluated after the element is removed
+                { op: "move", from: "/phone_numbers/0", path: "/phone_numbers/2" }
+            ]);
+            author = await Author.findOne({_id: author_id});
+            assert.deepEqual(author.phone_numbers.toObject(), ["222-222-2222", "333-333-3333", "111-111-1111"]);
+        });
 
+        it("should move between the document and a populated ref", async () => {
+            let book = await Book.findOne({_id: book_id});
+            await book.jsonPatch([
+                { op: "add", path: "/collaborators/-", value: { gets_credit: true, author: coauthor_id } },
+                { op: "move", from: "/collaborators/0", path: "/coauthor" },
+                { op: "move", from: "/author/last_name", path: "/name" }
+            ]);
+            book = await Book.findOne({_id: book_id});
+            assert.equal(book.collaborators.length, 0);
+            assert.equal(book.coauthor.gets_credit, true);
+            assert.equal(book.coauthor.author.toString(), coauthor_id.toString());
+            assert.equal(book.name, "Tolkien");
+            let author = await Author.findOne({_id: author_id});
+            assert.equal(author.last_name, undefined);
+        });
+
+        it("should not move a value into itself", async () => {
+            let book = await Book.findOne({_id: book_id});
+            await assert.rejects(book.jsonPatch([
+                { op: "add", path: "/collaborators/-", value: { gets_credit: true } },
+                { op: "move", from: "/collaborators/0", path: "/collaborators/0/author" }
+            ]), PatchPathError);
+        });
+    });
+
+    describe("copy", () => {
+        it("should copy a subdoc with a new _id", async () => {
+            let book = await Book.findOne({_id: book_id});
+            await book.jsonPatch([
+                { op: "add", path: "/collaborators/-", value: { gets_credit: true, author: coauthor_id } },
+                { op: "copy", from: "/collaborators/0", path: "/collaborators/0" },
+                { op: "replace", path: "/collaborators/0/gets_credit", value: false }
+            ]);
+            book = await Book.findOne({_id: book_id});
+            assert.equal(book.collaborators.length, 2);
+            assert.notEqual(book.collaborators[0]._id.toString(), book.collaborators[1]._id.toString());
+            //the copy isn't shared with the original
+            assert.equal(book.collaborators[0].gets_credit, false);
+            assert.equal(book.collaborators[1].gets_credit, true);
+            //but both link to the same author
+            assert.equal(book.collaborators[0].author.toString(), coauthor_id.toString());
+            assert.equal(book.collaborators[1].author.toString(), coauthor_id.toString());
         });
     });
 
@@ -329,6 +604,595 @@ describe("Patch", () => {
 
     });
 
+    describe("test", () => {
+        it("should apply the patch when the test passes", async () => {
+            let book = await Book.findOne({_id: book_id});
+            let patch = [
+                { op: "test", path: "/author", value: author_id.toString() },
+                { op: "test", path: "/author/first_name", value: "JRR" },
+                { op: "replace", path: "/name", value: "There And Back Again" }
+            ];
+            await book.jsonPatch(patch);
+            book = await Book.findOne({_id: book_id});
+            assert.equal(book.name, "There And Back Again");
+        });
+
+        it("should abort the whole patch when a test fails", async () => {
+            let author = await Author.findOne({_id: author_id});
+            let patch = [
+                { op: "replace", path: "/first_name", value: "Jimmy" },
+                { op: "test", path: "/last_name", value: "Gulick" },
+                { op: "replace", path: "/last_name", value: "Page" }
+            ];
+            let error;
+            try {
+                await author.jsonPatch(patch);
+            }
+            catch(err) {
+                error = err;
+            }
+            assert.ok(error instanceof PatchTestFailedError);
+            assert.equal(error.index, 1);
+            assert.equal(error.path, "/last_name");
+            assert.equal(error.expected, "Gulick");
+            assert.equal(error.actual, "Tolkien");
+            //the operations before the test are undone on the document too
+            assert.equal(author.first_name, "JRR");
+
+            author = await Author.findOne({_id: author_id});
+            assert.equal(author.first_name, "JRR");
+            assert.equal(author.last_name, "Tolkien");
+        });
+
+        it("should undo the operations through refs when a test fails", async () => {
+            let book = await Book.findOne({_id: book_id});
+            let patch = [
+                { op: "replace", path: "/author/first_name", value: "Jimmy" },
+                { op: "add", path: "/collaborators/-", value: {author: coauthor_id.toString()} },
+                { op: "test", path: "/name", value: "The Silmarillion" }
+            ];
+            await assert.rejects(book.jsonPatch(patch), PatchTestFailedError);
+            assert.equal(book.author.first_name, "JRR");
+            assert.equal(book.collaborators.length, 0);
+        });
+    });
+
+    describe("errors", () => {
+        async function patchError(document, patch) {
+            try {
+                await document.jsonPatch(patch);
+            }
+            catch(err) {
+                return err;
+            }
+        }
+
+        it("should throw a PatchValidationError for an invalid patch", async () => {
+            let author = await Author.findOne({_id: author_id});
+            let error = await patchError(author, [
+                { op: "replace", path: "/first_name", value: "Jimmy" },
+                { op: "replace", path: "/last_name" }
+            ]);
+            assert.ok(error instanceof PatchValidationError);
+            assert.equal(error.status, 400);
+            assert.equal(error.index, 1);
+            assert.equal(error.path, "/last_name");
+            assert.ok(Array.isArray(error.cause));
+        });
+
+        it("should throw a PatchRuleViolationError with the failing op", async () => {
+            let book = await Book.findOne({_id: book_id});
+            let error = await patchError(book, [
+                { op: "replace", path: "/name", value: "The Silmarillion" },
+                { op: "replace", path: "/publisher", value: "Random House" }
+            ]);
+            assert.ok(error instanceof PatchRuleViolationError);
+            assert.equal(error.status, 403);
+            assert.equal(error.index, 1);
+            assert.equal(error.path, "/publisher");
+            assert.equal(error.cause[0].path, "/publisher");
+        });
+
+        it("should throw a PatchPathError for an invalid array index", async () => {
+            let author = await Author.findOne({_id: author_id});
+            let error = await patchError(author, [
+                { op: "add", path: "/phone_numbers/-", value: "333-333-3333" },
+                { op: "add", path: "/phone_numbers/10", value: "444-444-4444" }
+            ]);
+            assert.ok(error instanceof PatchPathError);
+            assert.equal(error.status, 422);
+            assert.equal(error.index, 1);
+            assert.equal(error.path, "/phone_numbers/10");
+        });
+
+        it("should throw a PatchCastError pointing at the operation with the bad value", async () => {
+            let book = await Book.findOne({_id: book_id});
+            let error = await patchError(book, [
+                { op: "replace", path: "/name", value: "The Silmarillion" },
+                { op: "replace", path: "/reference_id", value: "not an id" }
+            ]);
+            assert.ok(error instanceof PatchCastError);
+            assert.equal(error.status, 422);
+            assert.equal(error.path, "/reference_id");
+            assert.equal(error.index, 1);
+            assert.equal(error.value, "not an id");
+            assert.equal(error.cause.name, "CastError");
+        });
+    });
+
+    describe("dry run", () => {
+        it("should report problems with each operation without changing the document", async () => {
+            let book = await Book.findOne({_id: book_id});
+            let patch = [
+                { op: "replace", path: "/name", value: "The Silmarillion" },
+                { op: "replace", path: "/not_a_path", value: "something" },
+                { op: "replace", path: "/reference_id", value: "not an id" },
+                { op: "replace", path: "/collaborators/0/gets_credit", value: true },
+                { op: "add", path: "/collaborators/-", value: { gets_credit: true, author: collaborator_id } },
+                { op: "replace", path: "/collaborators/0/gets_credit", value: true },
+                { op: "replace", path: "/author/phone_numbers/5", value: "555-555-5555" },
+                { op: "replace", path: "/publisher", value: "Random House" }
+            ];
+            let report = await book.jsonPatch(patch, {
+                dry_run: true,
+                rules: [{ path: "/publisher" }],
+                rules_mode: "blacklist"
+            });
+            assert.deepStrictEqual(report.map(entry => entry.valid), [true, false, false, false, true, true, false, false]);
+            assert.deepStrictEqual(report.map(entry => entry.errors.length ? entry.errors[0].code : null),
+                [null, "unknown_path", "cast", "index", null, null, "index", "rule"]);
+            assert.equal(report[6].errors[0].path, "/author/phone_numbers/5");
+
+            assert.equal(book.isModified(), false);
+            assert.equal(book.populated("author"), undefined);
+            book = await Book.findOne({_id: book_id});
+            assert.equal(book.name, "The Hobbit");
+            assert.equal(book.collaborators.length, 0);
+        });
+
+        it("should accept dryRun as an alias of dry_run", async () => {
+            let book = await Book.findOne({_id: book_id});
+            let report = await book.jsonPatch([{ op: "replace", path: "/name", value: "The Silmarillion" }], {autosave: true, dryRun: true});
+            assert.equal(report[0].valid, true);
+            let {result} = await Book.jsonPatchById(book_id, [{ op: "replace", path: "/name", value: "The Silmarillion" }],
+                {atomic: true, dryRun: true});
+            assert.equal(result[0].valid, true);
+            book = await Book.findOne({_id: book_id});
+            assert.equal(book.name, "The Hobbit");
+        });
+
+        it("should report removal of a required path", async () => {
+            let author = await Author.findOne({_id: author_id});
+            let patcher = new JSONPatchMongoose(Author.schema, {});
+            Author.schema.path("last_name").required(true);
+            try {
+                let report = await patcher.check([{ op: "remove", path: "/last_name" }], author);
+                assert.equal(report[0].valid, false);
+                assert.equal(report[0].errors[0].code, "required");
+            }
+            finally {
+                Author.schema.path("last_name").required(false);
+            }
+        });
+    });
+
+    describe("optimistic concurrency", () => {
+        it("should fail to save a patch made against a stale document", async () => {
+            let author = await Author.findOne({_id: author_id});
+            let stale_author = await Author.findOne({_id: author_id});
+            await author.jsonPatch([{ op: "replace", path: "/first_name", value: "Jimmy" }], {autosave: true, optimistic: true});
+
+            let error;
+            try {
+                await stale_author.jsonPatch([{ op: "replace", path: "/last_name", value: "Page" }], {autosave: true, optimistic: true});
+            }
+            catch(err) {
+                error = err;
+            }
+            assert.ok(error instanceof PatchConflictError);
+            assert.equal(error.status, 409);
+            author = await Author.findOne({_id: author_id});
+            assert.equal(author.first_name, "Jimmy");
+            assert.equal(author.last_name, "Tolkien");
+        });
+
+        it("should reload and reapply the patch when retries are allowed", async () => {
+            let author = await Author.findOne({_id: author_id});
+            let stale_author = await Author.findOne({_id: author_id});
+            await author.jsonPatch([{ op: "replace", path: "/first_name", value: "Jimmy" }], {autosave: true, optimistic: true});
+
+            let patcher = new JSONPatchMongoose(Author.schema, {autosave: true, optimistic: {retries: 1}});
+            await patcher.apply([{ op: "replace", path: "/last_name", value: "Page" }], stale_author);
+            assert.notStrictEqual(patcher.document, stale_author);
+            author = await Author.findOne({_id: author_id});
+            assert.equal(author.first_name, "Jimmy");
+            assert.equal(author.last_name, "Page");
+            assert.equal(author.__v, 2);
+        });
+
+        it("should only allow retries when the reloaded document is handed back", async () => {
+            let author = await Author.findOne({_id: author_id});
+            let patch = [{ op: "replace", path: "/first_name", value: "Jimmy" }];
+            await assert.rejects(author.jsonPatch(patch, {autosave: true, optimistic: {retries: 1}}), PatchError);
+            assert.equal(author.first_name, "JRR");
+
+            let {document} = await Author.jsonPatchById(author_id, patch, {optimistic: {retries: 1}});
+            assert.equal(document.first_name, "Jimmy");
+        });
+
+        it("should not reapply a patch that was partly saved", async () => {
+            let book = await Book.findOne({_id: book_id}).populate('author');
+            await Author.updateOne({_id: author_id}, {$inc: {__v: 1}});
+
+            let patcher = new JSONPatchMongoose(Book.schema, {autosave: true, optimistic: {retries: 2}});
+            await assert.rejects(patcher.apply([
+                { op: "add", path: "/collaborators/-", value: { gets_credit: true, author: collaborator_id } },
+                { op: "replace", path: "/author/first_name", value: "Jimmy" }
+            ], book), PatchConflictError);
+            //the book was saved before the author conflicted, so the add wasn't applied again
+            book = await Book.findOne({_id: book_id});
+            assert.equal(book.collaborators.length, 1);
+            let author = await Author.findOne({_id: author_id});
+            assert.equal(author.first_name, "JRR");
+        });
+
+        it("should reject a patch made against a different version", async () => {
+            let author = await Author.findOne({_id: author_id});
+            let error;
+            try {
+                await author.jsonPatch([{ op: "replace", path: "/first_name", value: "Jimmy" }], {autosave: true, optimistic: {version: 3}});
+            }
+            catch(err) {
+                error = err;
+            }
+            assert.ok(error instanceof PatchConflictError);
+            assert.equal(error.expected, 3);
+            assert.equal(error.actual, 0);
+        });
+    });
+
+    describe("transactions", () => {
+        it("should roll back every document when one fails to save", async () => {
+            let book = await Book.findOne({_id: book_id}).populate('author');
+            //the populated author is now stale
+            await Author.updateOne({_id: author_id}, {$inc: {__v: 1}});
+
+            await assert.rejects(book.jsonPatch([
+                { op: "replace", path: "/name", value: "There And Back Again" },
+                { op: "add", path: "/collaborators/-", value: { gets_credit: true, author: { first_name: "Christopher" } } },
+                { op: "replace", path: "/author/first_name", value: "Jimmy" }
+            ], {autosave: true, transaction: true, optimistic: true}), PatchConflictError);
+
+            book = await Book.findOne({_id: book_id});
+            assert.equal(book.name, "The Hobbit");
+            assert.equal(book.collaborators.length, 0);
+            assert.equal(await Author.countDocuments({first_name: "Christopher"}), 0);
+        });
+
+        it("should save ref'd documents created by the patch in the transaction", async () => {
+            let book = await Book.findOne({_id: book_id});
+            await book.jsonPatch([
+                { op: "add", path: "/collaborators/-", value: { gets_credit: true, author: { first_name: "Christopher" } } }
+            ], {autosave: true, transaction: true});
+
+            book = await Book.findOne({_id: book_id}).populate('collaborators.author');
+            assert.equal(book.collaborators[0].author.first_name, "Christopher");
+        });
+
+        it("should join a transaction that's already in progress", async () => {
+            let session = await mongoose.startSession();
+            try {
+                session.startTransaction();
+                let book = await Book.findOne({_id: book_id}).session(session);
+                await book.jsonPatch([
+                    { op: "replace", path: "/name", value: "There And Back Again" },
+                    { op: "replace", path: "/author/first_name", value: "Jimmy" }
+                ], {autosave: true, session});
+                //committing is left to the caller
+                assert.ok(session.inTransaction());
+                await session.abortTransaction();
+            }
+            finally {
+                await session.endSession();
+            }
+
+            let book = await Book.findOne({_id: book_id});
+            assert.equal(book.name, "The Hobbit");
+            let author = await Author.findOne({_id: author_id});
+            assert.equal(author.first_name, "JRR");
+        });
+
+        it("should need autosave to start a transaction", async () => {
+            let book = await Book.findOne({_id: book_id});
+            await assert.rejects(book.jsonPatch([{ op: "replace", path: "/name", value: "There And Back Again" }], {transaction: true}),
+                PatchError);
+            assert.equal(book.name, "The Hobbit");
+        });
+    });
+
+    describe("audit", () => {
+        it("should record the patch, inverse, actor and touched documents", async () => {
+            let book = await Book.findOne({_id: book_id});
+            let patch = [
+                { op: "replace", path: "/name", value: "There And Back Again" },
+                { op: "replace", path: "/author/first_name", value: "John" }
+            ];
+            await book.jsonPatch(patch, {autosave: true, audit: true, actor: "bilbo"});
+            let history = await book.patchHistory();
+            assert.equal(history.length, 1);
+            assert.equal(history[0].version, 1);
+            assert.equal(history[0].actor, "bilbo");
+            assert.deepStrictEqual(history[0].patch, patch);
+            assert.deepStrictEqual(history[0].inverse, [
+                { op: "replace", path: "/author/first_name", value: "JRR" },
+                { op: "replace", path: "/name", value: "The Hobbit" }
+            ]);
+            assert.deepStrictEqual(history[0].documents.map(item => [item.model, item.pointer]), [["Book", ""], ["Author", "/author"]]);
+            assert.equal(history[0].documents[1].id.toString(), author_id.toString());
+        });
+
+        it("should revert to a version", async () => {
+            let options = {autosave: true, audit: true};
+            let book = await Book.findOne({_id: book_id});
+            await book.jsonPatch([{ op: "replace", path: "/name", value: "There And Back Again" }], options);
+            book = await Book.findOne({_id: book_id});
+            await book.jsonPatch([{ op: "replace", path: "/name", value: "The Lord of the Rings" }], options);
+
+            book = await Book.findOne({_id: book_id});
+            await book.revertTo(1, options);
+            book = await Book.findOne({_id: book_id});
+            assert.equal(book.name, "There And Back Again");
+
+            await book.revertTo(0, options);
+            book = await Book.findOne({_id: book_id});
+            assert.equal(book.name, "The Hobbit");
+
+            let history = await book.patchHistory(options);
+            assert.deepStrictEqual(history.map(entry => entry.version), [1, 2, 3, 4]);
+
+            await assert.rejects(book.revertTo(5, options), PatchNotFoundError);
+        });
+
+        it("should rebuild and revert patches to paths with schema annotations", async () => {
+            let admin = {autosave: true, audit: true, context: {user: {roles: ['admin']}}};
+            let author = await Author.findOne({_id: author_id});
+            //the inverse is a remove, which the annotation on royalties doesn't allow
+            await author.jsonPatch([{ op: "replace", path: "/royalties", value: 10 }], admin);
+
+            let rebuilt = await Author.atVersion(author_id, 0, admin);
+            assert.equal(rebuilt.royalties, undefined);
+            rebuilt = await Author.atVersion(author_id, 0, {audit: true});
+            assert.equal(rebuilt.royalties, undefined);
+
+            author = await Author.findOne({_id: author_id});
+            await assert.rejects(author.revertTo(0, {autosave: true, audit: true}), PatchRuleViolationError);
+            await author.revertTo(0, admin);
+            author = await Author.findOne({_id: author_id});
+            assert.equal(author.royalties, undefined);
+        });
+
+        it("should record the patch when the document is saved without autosave", async () => {
+            let author = await Author.findOne({_id: author_id});
+            await author.jsonPatch([{ op: "replace", path: "/first_name", value: "John" }], {audit: true});
+            assert.equal((await author.patchHistory()).length, 0);
+            await author.save();
+            let history = await author.patchHistory();
+            assert.equal(history.length, 1);
+            assert.deepStrictEqual(history[0].inverse, [{ op: "replace", path: "/first_name", value: "JRR" }]);
+        });
+
+        it("should rebuild a document at a version or point in time", async () => {
+            let options = {autosave: true, audit: {snapshot_interval: 2}};
+            let before = new Date();
+            for(let name of ["There And Back Again", "The Lord of the Rings", "The Silmarillion"]) {
+                let book = await Book.findOne({_id: book_id});
+                await book.jsonPatch([
+                    { op: "replace", path: "/name", value: name },
+                    { op: "replace", path: "/author/last_name", value: name }
+                ], options);
+            }
+
+            let history = await Book.findOne({_id: book_id}).then(book => book.patchHistory(options));
+            assert.deepStrictEqual(history.map(entry => !!entry.snapshot), [false, true, false]);
+
+            //from the snapshot
+            let book = await Book.atVersion(book_id, 2, options);
+            assert.equal(book.name, "The Lord of the Rings");
+            //reverted from the current document
+            book = await Book.atVersion(book_id, 1, options);
+            assert.equal(book.name, "There And Back Again");
+            book = await Book.asOf(book_id, before, options);
+            assert.equal(book.name, "The Hobbit");
+            assert.equal(book.author.toString(), author_id.toString());
+
+            book = await Book.findOne({_id: book_id});
+            assert.equal(book.name, "The Silmarillion");
+            await assert.rejects(Book.atVersion(book_id, 4, options), PatchNotFoundError);
+        });
+    });
+
+    describe("statics", () => {
+        it("should load, patch and save a document by id", async () => {
+            let {document, result} = await Book.jsonPatchById(book_id, [
+                { op: "replace", path: "/name", value: "There And Back Again" }
+            ]);
+            assert.equal(document.name, "There And Back Again");
+            assert.deepStrictEqual(result, [{ op: "replace", path: "/name", value: "The Hobbit" }]);
+            let book = await Book.findOne({_id: book_id});
+            assert.equal(book.name, "There And Back Again");
+        });
+
+        it("should throw a PatchNotFoundError when there's no document", async () => {
+            let error;
+            try {
+                await Book.jsonPatchOne({name: "The Silmarillion"}, [
+                    { op: "replace", path: "/name", value: "There And Back Again" }
+                ]);
+            }
+            catch(err) {
+                error = err;
+            }
+            assert.ok(error instanceof PatchNotFoundError);
+            assert.equal(error.status, 404);
+        });
+
+        it("should patch many documents, collecting errors per document", async () => {
+            let collaborator = await Author.findOne({_id: collaborator_id});
+            collaborator.phone_numbers.push("333-333-3333");
+            await collaborator.save();
+
+            let {documents, results, errors} = await Author.jsonPatchMany({}, [
+                { op: "remove", path: "/phone_numbers/2" }
+            ], {concurrency: 2});
+            assert.equal(results.length, 3);
+            assert.equal(documents.length, 1);
+            assert.equal(documents[0]._id.toString(), collaborator_id.toString());
+            assert.equal(errors.length, 2);
+            assert.ok(errors.every(error => error instanceof PatchPathError));
+
+            collaborator = await Author.findOne({_id: collaborator_id});
+            assert.equal(collaborator.phone_numbers.length, 2);
+        });
+    });
+
+    describe("plain objects", () => {
+        it("should patch a copy of a lean object, casting values through the schema", async () => {
+            let author = await Author.findOne({_id: author_id}).lean();
+            let patched = await Author.applyPatchToObject(author, [
+                { op: "replace", path: "/first_name", value: 1892 },
+                { op: "add", path: "/best_sellers/-", value: book_id.toString() },
+                { op: "replace", path: "/address", value: {city: "Oxford", planet: "Earth"} }
+            ]);
+            assert.strictEqual(patched.first_name, "1892");
+            assert(patched.best_sellers[0] instanceof mongoose.Types.ObjectId);
+            assert.deepStrictEqual(patched.address, {city: "Oxford"});
+            assert.equal(author.first_name, "JRR");
+
+            await assert.rejects(Author.applyPatchToObject(author, [{ op: "replace", path: "/publisher", value: "Allen & Unwin" }]),
+                PatchRuleViolationError);
+            await assert.rejects(Author.applyPatchToObject(author, [{ op: "add", path: "/best_sellers/-", value: "not an id" }]),
+                PatchCastError);
+            //nothing is saved
+            author = await Author.findOne({_id: author_id});
+            assert.equal(author.first_name, "JRR");
+        });
+
+        it("should write the patched objects back with replace_one", async () => {
+            let book = await Book.findOne({_id: book_id}).populate('author').lean();
+            let patched = await Book.applyPatchToObject(book, [
+                { op: "replace", path: "/name", value: "There And Back Again" },
+                { op: "replace", path: "/author/first_name", value: "John" }
+            ], {replace_one: true});
+            assert.equal(patched.author.first_name, "John");
+
+            book = await Book.findOne({_id: book_id});
+            assert.equal(book.name, "There And Back Again");
+            assert.equal(book.author.toString(), author_id.toString());
+            let author = await Author.findOne({_id: author_id});
+            assert.equal(author.first_name, "John");
+        });
+    });
+
+    describe("atomic", () => {
+        it("should apply a patch with update operators", async () => {
+            let {document, result} = await Book.jsonPatchById(book_id, [
+                { op: "replace", path: "/name", value: "There And Back Again" },
+                { op: "add", path: "/collaborators/-", value: { gets_credit: true, author: collaborator_id } },
+                { op: "replace", path: "/author/first_name", value: "James" }
+            ], {atomic: "strict"});
+            assert.equal(result.length, 2);
+            assert.deepStrictEqual(result.map(update => update.model), ["Book", "Author"]);
+            assert.equal(document.name, "There And Back Again");
+            assert.equal(document.collaborators[0].author.toString(), collaborator_id.toString());
+            let author = await Author.findOne({_id: author_id});
+            assert.equal(author.first_name, "James");
+        });
+
+        it("should use test operations as update conditions", async () => {
+            let error;
+            try {
+                await Book.jsonPatchById(book_id, [
+                    { op: "test", path: "/author/last_name", value: "Gulick" },
+                    { op: "replace", path: "/author/first_name", value: "James" }
+                ], {atomic: "strict"});
+            }
+            catch(err) {
+                error = err;
+            }
+            assert.ok(error instanceof PatchTestFailedError);
+            assert.equal(error.index, 0);
+            let author = await Author.findOne({_id: author_id});
+            assert.equal(author.first_name, "JRR");
+        });
+
+        it("should not write anything when a test after a change fails", async () => {
+            let patch = [
+                { op: "replace", path: "/name", value: "There And Back Again" },
+                { op: "test", path: "/author/first_name", value: "Jimmy" },
+                { op: "replace", path: "/pages", value: 300 }
+            ];
+            let error = await Book.jsonPatchById(book_id, patch, {atomic: "strict"}).catch(err => err);
+            assert.ok(error instanceof PatchNotAtomicError);
+            assert.equal(error.index, 1);
+
+            error = await Book.jsonPatchById(book_id, patch, {atomic: "strict", transaction: true}).catch(err => err);
+            assert.ok(error instanceof PatchTestFailedError);
+            assert.equal(error.index, 1);
+            let book = await Book.findOne({_id: book_id});
+            assert.equal(book.name, "The Hobbit");
+            assert.equal(book.pages, undefined);
+        });
+
+        it("should reject operations that can't be applied atomically in strict mode", async () => {
+            let error;
+            try {
+                await Author.jsonPatchById(author_id, [
+                    { op: "replace", path: "/first_name", value: "Jimmy" },
+                    { op: "remove", path: "/phone_numbers/0" }
+                ], {atomic: "strict"});
+            }
+            catch(err) {
+                error = err;
+            }
+            assert.ok(error instanceof PatchNotAtomicError);
+            assert.equal(error.index, 1);
+            let author = await Author.findOne({_id: author_id});
+            assert.equal(author.first_name, "JRR");
+        });
+
+        it("should validate values before updating", async () => {
+            let error = await Book.jsonPatchById(book_id, [
+                { op: "replace", path: "/name", value: "There And Back Again" },
+                { op: "replace", path: "/pages", value: 0 }
+            ], {atomic: "strict"}).catch(err => err);
+            assert.ok(error instanceof PatchCastError);
+            assert.equal(error.index, 1);
+            await assert.rejects(Book.jsonPatchById(book_id, [{ op: "replace", path: "/genre", value: "horror" }], {atomic: "strict"}),
+                PatchCastError);
+            let book = await Book.findOne({_id: book_id});
+            assert.equal(book.name, "The Hobbit");
+        });
+
+        it("should run values through the casters and drop unknown keys", async () => {
+            let {result} = await Book.jsonPatchById(book_id, [
+                { op: "replace", path: "/name", value: "  There And Back Again  " },
+                { op: "add", path: "/collaborators/-", value: { gets_credit: true, author: collaborator_id.toString(), junk: 1 } }
+            ], {atomic: "strict", casters: {String: value => value.trim()}});
+            assert.equal(result[0].update.$set.name, "There And Back Again");
+            assert.equal(result[0].update.$push.collaborators.$each[0].junk, undefined);
+            let book = await Book.findOne({_id: book_id}).lean();
+            assert.equal(book.name, "There And Back Again");
+            assert.equal(book.collaborators[0].junk, undefined);
+        });
+
+        it("should fall back to loading the document", async () => {
+            let {document} = await Author.jsonPatchById(author_id, [
+                { op: "remove", path: "/phone_numbers/0" }
+            ], {atomic: true});
+            assert.deepStrictEqual(document.phone_numbers.toObject(), ["222-222-2222"]);
+        });
+    });
+
     describe("middleware", () => {
         it("should execute matching middleware properly", async ()=> {
             let author = await Author.findOne({_id: author_id});
@@ -374,6 +1238,536 @@ describe("Patch", () => {
             assert.equal(processed, '4242424242424242');
 
         });
+
+        it("should run every matching middleware in order", async ()=> {
+            let author = await Author.findOne({_id: author_id});
+            let patch = [
+                { path: '/first_name', op: 'replace', value: ' jimmy '}
+            ];
+            let calls = [];
+            let options = {
+                autosave: true,
+                middleware: [
+                    {op: ['add', 'replace'], path: '.*', handler: 
+                        async (document, item, next) => {
+                            calls.push('log');
+                            await next();
+                        }
+                    },
+                    {op: 'replace', path: '^/first_name$', handler: 
+                        async (document, item, next) => {
+                            calls.push('trim');
+                            await next(Object.assign({}, item, {value: item.value.trim()}));
+                        }
+                    },
+                    {op: 'replace', path: '^/first_name$', handler: 
+                        async (document, item, next) => {
+                            calls.push('capitalize');
+                            await next(Object.assign({}, item, {value: item.value[0].toUpperCase() + item.value.slice(1)}));
+                        }
+                    }
+                ]
+            }
+            await author.jsonPatch(patch, options);
+            author = await Author.findOne({_id: author_id});
+            assert.deepEqual(calls, ['log', 'trim', 'capitalize']);
+            assert.equal(author.first_name, 'Jimmy');
+        });
+
+        it("should expand an operation into several operations", async ()=> {
+            let author = await Author.findOne({_id: author_id});
+            let patch = [
+                { path: '/first_name', op: 'replace', value: 'Jimmy'}
+            ];
+            let options = {
+                autosave: true,
+                middleware: [
+                    {op: 'replace', path: '^/first_name$', handler: 
+                        async (document, item, next) => {
+                            await next([item, {op: 'replace', path: '/last_name', value: 'Baggins'}]);
+                        }
+                    }
+                ]
+            }
+            let inverse = await author.jsonPatch(patch, options);
+            author = await Author.findOne({_id: author_id});
+            assert.equal(author.first_name, 'Jimmy');
+            assert.equal(author.last_name, 'Baggins');
+            assert.equal(inverse.length, 2);
+        });
+
+        it("should reject invalid operations from middleware", async ()=> {
+            let author = await Author.findOne({_id: author_id});
+            let patch = [
+                { path: '/first_name', op: 'replace', value: 'Jimmy'}
+            ];
+            let options = {
+                middleware: [
+                    {op: 'replace', path: '^/first_name$', handler: 
+                        async (document, item, next) => {
+                            await next({op: 'save', path: '/first_name'});
+                        }
+                    }
+                ]
+            }
+            await assert.rejects(author.jsonPatch(patch, options), PatchValidationError);
+        });
+
+        it("should call the before and after hooks once per patch", async ()=> {
+            let author = await Author.findOne({_id: author_id});
+            let patch = [
+                { path: '/first_name', op: 'replace', value: 'Jimmy'},
+                { path: '/last_name', op: 'replace', value: 'Tolkien'}
+            ];
+            let calls = [];
+            let options = {
+                before: (document, patch) => calls.push(['before', patch.length, document.first_name]),
+                after: [(document, patch, inverse) => calls.push(['after', inverse.length, document.first_name])]
+            }
+            await author.jsonPatch(patch, options);
+            assert.deepEqual(calls, [['before', 2, 'JRR'], ['after', 2, 'Jimmy']]);
+        });
+    });
+
+    describe("schema rules", () => {
+        it("should reject changes to a readonly path", async () => {
+            let book = await Book.findOne({_id: book_id});
+            await assert.rejects(book.jsonPatch([{ op: "add", path: "/isbn", value: "978-0-261-10221-7" }]), PatchRuleViolationError);
+            await assert.rejects(book.jsonPatch([{ op: "move", from: "/isbn", path: "/name" }]), PatchRuleViolationError);
+            //reading from a readonly path is fine
+            await book.jsonPatch([{ op: "copy", from: "/isbn", path: "/publisher" }], {autosave: false});
+        });
+
+        it("should check roles and ops against the user in the context, through refs", async () => {
+            let book = await Book.findOne({_id: book_id});
+            let patch = [{ op: "replace", path: "/author/royalties", value: 10 }];
+            await assert.rejects(book.jsonPatch(patch), PatchRuleViolationError);
+            await assert.rejects(book.jsonPatch(patch, {autosave: true, context: {user: {roles: ['editor']}}}), PatchRuleViolationError);
+
+            await book.jsonPatch(patch, {autosave: true, context: {user: {roles: ['editor', 'admin']}}});
+            let author = await Author.findOne({_id: author_id});
+            assert.equal(author.royalties, 10);
+
+            book = await Book.findOne({_id: book_id});
+            await assert.rejects(book.jsonPatch([{ op: "remove", path: "/author/royalties" }], {context: {user: {role: 'admin'}}}), PatchRuleViolationError);
+        });
+
+        it("should report schema rules in a dry run", async () => {
+            let book = await Book.findOne({_id: book_id});
+            let report = await book.jsonPatch([{ op: "replace", path: "/isbn", value: "1" }], {dry_run: true});
+            assert.equal(report[0].valid, false);
+            assert.equal(report[0].errors[0].code, 'rule');
+        });
+    });
+
+    describe("ref'd models", () => {
+        it("should check the ref'd model's rules with the path relative to it", async () => {
+            let book = await Book.findOne({_id: book_id});
+            //the author's rules blacklist /publisher
+            let error = await book.jsonPatch([{ op: "replace", path: "/author/publisher", value: "Random House" }])
+                .catch(err => err);
+            assert(error instanceof PatchRuleViolationError);
+            assert.equal(error.path, "/author/publisher");
+            assert.equal(error.cause[0].path, "/publisher");
+        });
+
+        it("should check every field of an object that updates a ref'd document", async () => {
+            let book = await Book.findOne({_id: book_id});
+            let error = await book.jsonPatch([{ op: "replace", path: "/author", value: {_id: author_id.toString(), publisher: "Evil"} }])
+                .catch(err => err);
+            assert(error instanceof PatchRuleViolationError);
+            assert.equal(error.path, "/author/publisher");
+            assert.equal(error.index, 0);
+            await assert.rejects(book.jsonPatch([{ op: "replace", path: "/author", value: {_id: author_id.toString(), royalties: 1e6} }]),
+                PatchRuleViolationError);
+            await assert.rejects(book.jsonPatch([{ op: "replace", path: "/author", value: {_id: author_id.toString(), first_name: "Jimmy"} }],
+                {cross_document: false}), PatchRuleViolationError);
+
+            let author = await Author.findOne({_id: author_id});
+            assert.equal(author.publisher, undefined);
+            assert.equal(author.royalties, undefined);
+            assert.equal(author.first_name, "JRR");
+        });
+
+        it("should forbid changes through refs with cross_document", async () => {
+            let book = await Book.findOne({_id: book_id});
+            let patch = [{ op: "replace", path: "/author/first_name", value: "Jimmy" }];
+            await assert.rejects(book.jsonPatch(patch, {cross_document: false}), PatchRuleViolationError);
+            await assert.rejects(book.jsonPatch(patch, {cross_document: ['/collaborators/0/author']}), PatchRuleViolationError);
+            //tests only read
+            await book.jsonPatch([{ op: "test", path: "/author/first_name", value: "JRR" }], {cross_document: false});
+
+            await book.jsonPatch(patch, {autosave: true, cross_document: ['^/author$']});
+            let author = await Author.findOne({_id: author_id});
+            assert.equal(author.first_name, "Jimmy");
+
+            //a * part matches any array index, like in the populate option
+            await book.jsonPatch([{ op: "add", path: "/collaborators/-", value: {author: coauthor_id.toString()} }], {autosave: true});
+            await book.jsonPatch([{ op: "replace", path: "/collaborators/0/author/first_name", value: "Chris" }],
+                {autosave: true, cross_document: ['/author', '/collaborators/*/author']});
+            let coauthor = await Author.findOne({_id: coauthor_id});
+            assert.equal(coauthor.first_name, "Chris");
+        });
+
+        it("should run the ref'd model's middleware after the patch's own", async () => {
+            let calls = [];
+            let author_options = JSONPatchMongoose.registeredOptions(Author.schema);
+            JSONPatchMongoose.registerOptions(Author.schema, Object.assign({}, author_options, {
+                middleware: [{
+                    op: 'replace',
+                    path: '^/last_name$',
+                    handler: async (document, item, next) => {
+                        calls.push(['author', document.first_name, item.path]);
+                        await next(Object.assign({}, item, {value: item.value.toUpperCase()}));
+                    }
+                }]
+            }));
+            try {
+                let book = await Book.findOne({_id: book_id});
+                await book.jsonPatch([{ op: "replace", path: "/author/last_name", value: "Tolkien" }], {
+                    autosave: true,
+                    middleware: [{
+                        op: 'replace',
+                        path: '^/author/last_name$',
+                        handler: async (document, item, next) => {
+                            calls.push(['book', document.name, item.path]);
+                            await next();
+                        }
+                    }]
+                });
+            }
+            finally {
+                JSONPatchMongoose.registerOptions(Author.schema, author_options);
+            }
+            assert.deepEqual(calls, [['book', 'The Hobbit', '/author/last_name'], ['author', 'JRR', '/last_name']]);
+            let author = await Author.findOne({_id: author_id});
+            assert.equal(author.last_name, "TOLKIEN");
+        });
+
+        it("should only populate the refs the populate option allows", async () => {
+            let book = await Book.findOne({_id: book_id});
+            let populate = {paths: ['/author', '/collaborators/*/author'], max_depth: 1};
+            await assert.rejects(book.jsonPatch([{ op: "replace", path: "/coauthor/author/first_name", value: "Jimmy" }], {populate}),
+                PatchRuleViolationError);
+            await assert.rejects(book.jsonPatch([{ op: "test", path: "/author/first_name", value: "JRR" }], {populate: {max_depth: 0}}),
+                PatchRuleViolationError);
+            await assert.rejects(book.jsonPatch([{ op: "test", path: "/author/first_name", value: "JRR" }], {populate: {maxDepth: 0}}),
+                PatchRuleViolationError);
+
+            //a ref that can't be populated is still a value that can be replaced
+            await book.jsonPatch([{ op: "replace", path: "/coauthor/author", value: collaborator_id.toString() }], {autosave: true, populate});
+            assert.equal(book.populated('coauthor.author'), undefined);
+            book = await Book.findOne({_id: book_id});
+            assert.equal(book.coauthor.author.toString(), collaborator_id.toString());
+        });
+
+        it("should populate refs with the projection from the populate option", async () => {
+            let book = await Book.findOne({_id: book_id});
+            await book.jsonPatch([{ op: "replace", path: "/author/first_name", value: "John" }], {
+                autosave: true,
+                populate: {select: {'/author': 'first_name'}}
+            });
+            assert.equal(book.author.first_name, "John");
+            assert.equal(book.author.last_name, undefined);
+            let author = await Author.findOne({_id: author_id});
+            assert.equal(author.first_name, "John");
+            assert.equal(author.last_name, "Tolkien");
+        });
+    });
+
+    describe("patch handler", () => {
+        let server;
+
+        before((done) => {
+            server = http.createServer(createPatchHandler(Author, {
+                load: req => Author.findById(req.url.split('/')[2]),
+                getOptions: req => ({
+                    rules: [{ path: "/publisher" }],
+                    rules_mode: req.headers['x-role'] == 'admin' ? 'whitelist' : 'blacklist'
+                })
+            }));
+            server.listen(0, done);
+        });
+
+        after((done) => {
+            server.close(done);
+        });
+
+        function request(path, headers, body, target = server) {
+            return new Promise((resolve, reject) => {
+                let req = http.request({method: 'PATCH', port: target.address().port, path, headers}, (res) => {
+                    let chunks = [];
+                    res.on('data', chunk => chunks.push(chunk));
+                    res.on('end', () => resolve({
+                        status: res.statusCode,
+                        headers: res.headers,
+                        body: JSON.parse(Buffer.concat(chunks).toString())
+                    }));
+                });
+                req.on('error', reject);
+                req.end(typeof body == 'string' ? body : JSON.stringify(body));
+            });
+        }
+
+        it("should apply a json patch and respond with the document and its ETag", async () => {
+            let response = await request('/authors/' + author_id, {'content-type': 'application/json-patch+json'}, [
+                { op: "replace", path: "/first_name", value: "John" }
+            ]);
+            assert.equal(response.status, 200);
+            assert.equal(response.body.first_name, "John");
+            let author = await Author.findOne({_id: author_id});
+            assert.equal(author.first_name, "John");
+            assert.equal(response.headers.etag, '"' + author.__v + '"');
+        });
+
+        it("should apply a merge patch", async () => {
+            let response = await request('/authors/' + author_id, {'content-type': 'application/merge-patch+json'}, {
+                last_name: null
+            });
+            assert.equal(response.status, 200);
+            let author = await Author.findOne({_id: author_id});
+            assert.equal(author.last_name, undefined);
+        });
+
+        it("should respond with problem details", async () => {
+            let response = await request('/authors/' + author_id, {'content-type': 'application/json-patch+json'}, [
+                { op: "replace", path: "/publisher", value: "Allen & Unwin" }
+            ]);
+            assert.equal(response.status, 403);
+            assert.equal(response.headers['content-type'], 'application/problem+json');
+            assert.equal(response.body.status, 403);
+            assert.equal(response.body.path, '/publisher');
+
+            response = await request('/authors/' + author_id, {'content-type': 'application/json-patch+json', 'x-role': 'admin'}, [
+                { op: "replace", path: "/publisher", value: "Allen & Unwin" }
+            ]);
+            assert.equal(response.status, 200);
+
+            response = await request('/authors/' + author_id, {'content-type': 'application/json-patch+json'}, [
+                { op: "test", path: "/first_name", value: "John" }
+            ]);
+            assert.equal(response.status, 409);
+
+            response = await request('/authors/' + author_id, {'content-type': 'application/json-patch+json'}, '[{"op":');
+            assert.equal(response.status, 400);
+
+            response = await request('/authors/' + new mongoose.Types.ObjectId(), {'content-type': 'application/json-patch+json'}, []);
+            assert.equal(response.status, 404);
+
+            response = await request('/authors/' + author_id, {'content-type': 'text/plain'}, 'first_name=John');
+            assert.equal(response.status, 415);
+        });
+
+        it("should check If-Match against the document version", async () => {
+            let author = await Author.findOne({_id: author_id});
+            let etag = '"' + author.__v + '"';
+            let patch = [{ op: "replace", path: "/first_name", value: "John" }];
+            let response = await request('/authors/' + author_id, {'content-type': 'application/json-patch+json', 'if-match': 'W/' + etag}, patch);
+            assert.equal(response.status, 412);
+
+            response = await request('/authors/' + author_id, {'content-type': 'application/json-patch+json', 'if-match': etag}, patch);
+            assert.equal(response.status, 200);
+            assert.notEqual(response.headers.etag, etag);
+
+            response = await request('/authors/' + author_id, {'content-type': 'application/json-patch+json', 'if-match': etag}, patch);
+            assert.equal(response.status, 412);
+        });
+
+        it("should use the model's plugin options by default, and not leak database errors", async () => {
+            let default_server = http.createServer(createPatchHandler(Author, {
+                load: async req => {
+                    let author = await Author.findById(req.url.split('/')[2]);
+                    if(req.headers['x-fail'])
+                        author.save = async () => { throw new Error("E11000 duplicate key error collection: test.authors"); };
+                    return author;
+                }
+            }));
+            await new Promise(resolve => default_server.listen(0, resolve));
+            try {
+                //the author's rules blacklist /publisher
+                let response = await request('/authors/' + author_id, {'content-type': 'application/json-patch+json'}, [
+                    { op: "replace", path: "/publisher", value: "Allen & Unwin" }
+                ], default_server);
+                assert.equal(response.status, 403);
+
+                response = await request('/authors/' + author_id, {'content-type': 'application/json-patch+json', 'x-fail': '1'}, [
+                    { op: "replace", path: "/first_name", value: "John" }
+                ], default_server);
+                assert.equal(response.status, 500);
+                assert.equal(response.body.detail, http.STATUS_CODES[500]);
+            }
+            finally {
+                await new Promise(resolve => default_server.close(resolve));
+            }
+        });
+    });
+
+    describe("merge patch", () => {
+        it("should apply a merge patch", async () => {
+            let author = await Author.findOne({_id: author_id});
+            let inverse = await author.mergePatch({
+                first_name: "John",
+                last_name: null,
+                address: { city: "Hobbiton", address_1: null },
+                phone_numbers: ["333-333-3333"]
+            });
+            author = await Author.findOne({_id: author_id});
+            assert.equal(author.first_name, "John");
+            assert.equal(author.last_name, undefined);
+            assert.equal(author.address.city, "Hobbiton");
+            assert.equal(author.address.address_1, undefined);
+            assert.equal(author.address.zip, "12345");
+            assert.deepStrictEqual(author.phone_numbers.toObject(), ["333-333-3333"]);
+
+            await author.jsonPatch(inverse);
+            author = await Author.findOne({_id: author_id});
+            assert.equal(author.last_name, "Tolkien");
+            assert.equal(author.address.address_1, "123 anywhere dr");
+        });
+
+        it("should merge through refs", async () => {
+            let book = await Book.findOne({_id: book_id});
+            await book.mergePatch({ name: "There And Back Again", author: { first_name: "John" } });
+            let author = await Author.findOne({_id: author_id});
+            assert.equal(author.first_name, "John");
+            book = await Book.findOne({_id: book_id});
+            assert.equal(book.name, "There And Back Again");
+            assert.equal(book.author.toString(), author_id.toString());
+        });
+
+        it("should apply the rules", async () => {
+            let author = await Author.findOne({_id: author_id});
+            await assert.rejects(author.mergePatch({ publisher: "Allen & Unwin" }), PatchRuleViolationError);
+        });
+    });
+
+    describe("keyed paths", () => {
+        it("should address subdocs by _id", async () => {
+            let book = await Book.findOne({_id: book_id});
+            book.collaborators.push({gets_credit: false}, {gets_credit: false});
+            await book.save();
+            let [first, second] = book.collaborators.map(collaborator => collaborator._id.toString());
+
+            let inverse = await book.jsonPatch([
+                { op: "replace", path: `/collaborators/[_id=${second}]/gets_credit`, value: true },
+                { op: "remove", path: `/collaborators/[${first}]` }
+            ], {autosave: true, keyed_paths: true});
+            assert.deepStrictEqual(inverse.map(item => item.path), ["/collaborators/0", "/collaborators/1/gets_credit"]);
+
+            book = await Book.findOne({_id: book_id});
+            assert.equal(book.collaborators.length, 1);
+            assert.equal(book.collaborators[0]._id.toString(), second);
+            assert.equal(book.collaborators[0].gets_credit, true);
+        });
+
+        it("should address ref array elements by a configured key", async () => {
+            let series = await Series.findOne({_id: series_id});
+            await series.jsonPatch([
+                { op: "replace", path: "/books/[The Hobbit]/name", value: "There And Back Again" }
+            ], {autosave: true, keyed_paths: true, array_keys: {'/books': 'name'}});
+            let book = await Book.findOne({_id: book_id});
+            assert.equal(book.name, "There And Back Again");
+        });
+
+        it("should fail when no element matches the key", async () => {
+            let book = await Book.findOne({_id: book_id});
+            await assert.rejects(book.jsonPatch([
+                { op: "remove", path: "/collaborators/[_id=5f0000000000000000000000]" }
+            ], {keyed_paths: true}), PatchPathError);
+        });
+
+        it("should check the rules against the resolved path", async () => {
+            let book = await Book.findOne({_id: book_id});
+            book.collaborators.push({gets_credit: false});
+            await book.save();
+            let id = book.collaborators[0]._id.toString();
+            await assert.rejects(book.jsonPatch([
+                { op: "replace", path: `/collaborators/[_id=${id}]/gets_credit`, value: true }
+            ], {keyed_paths: true, rules: [{path: "^/collaborators/\\d+/gets_credit$"}], rules_mode: 'blacklist'}), PatchRuleViolationError);
+        });
+    });
+
+    describe("json pointers", () => {
+        it("should set Map entries and keys inside of Mixed paths", async () => {
+            let author = await Author.findOne({_id: author_id});
+            await author.jsonPatch([
+                { op: "add", path: "/metadata", value: {site: "tolkienestate.com"} },
+                { op: "add", path: "/metadata/twitter", value: "@tolkien" },
+                { op: "add", path: "/settings", value: {theme: {color: "red"}} },
+                { op: "add", path: "/settings/theme/font", value: "serif" },
+                //keys can have dots inside of Mixed paths, and / is escaped as ~1
+                { op: "add", path: "/settings/v1.2", value: true },
+                { op: "add", path: "/settings/a~1b~0c", value: 1 }
+            ]);
+            author = await Author.findOne({_id: author_id});
+            assert.equal(author.metadata.get('site'), "tolkienestate.com");
+            assert.equal(author.metadata.get('twitter'), "@tolkien");
+            assert.deepStrictEqual(author.settings, {theme: {color: "red", font: "serif"}, "v1.2": true, "a/b~c": 1});
+
+            await author.jsonPatch([
+                { op: "test", path: "/settings/v1.2", value: true },
+                { op: "remove", path: "/settings/theme/color" },
+                { op: "remove", path: "/metadata/site" }
+            ]);
+            author = await Author.findOne({_id: author_id});
+            assert.deepStrictEqual(author.settings.theme, {font: "serif"});
+            assert.equal(author.metadata.has('site'), false);
+        });
+
+        it("should set elements of nested arrays", async () => {
+            let author = await Author.findOne({_id: author_id});
+            await author.jsonPatch([
+                { op: "add", path: "/ratings", value: [[1, 2], [3]] },
+                { op: "replace", path: "/ratings/0/1", value: 5 },
+                { op: "add", path: "/ratings/1/-", value: 4 }
+            ]);
+            author = await Author.findOne({_id: author_id});
+            assert.deepStrictEqual(author.toObject().ratings, [[1, 5], [3, 4]]);
+        });
+
+        it("should reject pointers to prototype keys and keys with dots outside of Mixed paths", async () => {
+            let author = await Author.findOne({_id: author_id});
+            await assert.rejects(author.jsonPatch([{ op: "add", path: "/settings/__proto__/polluted", value: true }]), PatchPathError);
+            await assert.rejects(author.jsonPatch([{ op: "add", path: "/constructor", value: true }]), PatchPathError);
+            await assert.rejects(author.jsonPatch([{ op: "replace", path: "/address.city", value: "Oxford" }]), PatchPathError);
+            await assert.rejects(author.jsonPatch([{ op: "add", path: "/metadata/a.b", value: "x" }]), PatchPathError);
+            assert.equal({}.polluted, undefined);
+        });
+    });
+
+    describe("value casting", () => {
+        it("should run values through the casters and strip unknown keys before they're set", async () => {
+            let author = await Author.findOne({_id: author_id});
+            await author.jsonPatch([
+                { op: "replace", path: "/first_name", value: "  John  " },
+                { op: "replace", path: "/address", value: {city: " Oxford ", planet: "Earth"} },
+                { op: "add", path: "/metadata/pages", value: 310 }
+            ], {
+                autosave: true,
+                casters: {String: (value) => (typeof value == 'string') ? value.trim() : value}
+            });
+            author = await Author.findOne({_id: author_id});
+            assert.equal(author.first_name, "John");
+            assert.equal(author.address.city, "Oxford");
+            assert.equal(author.address.planet, undefined);
+            assert.strictEqual(author.metadata.get('pages'), "310");
+        });
+
+        it("should check enum, min and max for each operation", async () => {
+            let book = await Book.findOne({_id: book_id});
+            let error = await book.jsonPatch([
+                { op: "replace", path: "/genre", value: "fantasy" },
+                { op: "replace", path: "/genre", value: "poetry" }
+            ]).catch(err => err);
+            assert(error instanceof PatchCastError);
+            assert.equal(error.index, 1);
+            assert.equal(error.path, "/genre");
+            assert.equal(error.value, "poetry");
+
+            await assert.rejects(book.jsonPatch([{ op: "replace", path: "/pages", value: 0 }]), PatchCastError);
+            let report = await book.jsonPatch([{ op: "replace", path: "/pages", value: "0" }], {dry_run: true});
+            assert.equal(report[0].errors[0].code, "cast");
+        });
     });
 
     describe("embedded arrays", () => {
@@ -409,6 +1803,100 @@ describe("Patch", () => {
         });
     });
 
+    describe("large patches", () => {
+        let series;
+
+        beforeEach(async () => {
+            let books = [];
+            for(let i=0; i<20; i++) {
+                let author = await new Author({first_name: "Author " + i, last_name: "Writer"}).save();
+                books.push(await new Book({name: "Book " + i, author: author._id}).save());
+            }
+            series = await new Series({name: "Anthology", books: books.map(book => book._id)}).save();
+        });
+
+        it("should populate the refs for the whole patch in one query per ref path", async () => {
+            let patch = series.books.map((id, i) => ({ op: "replace", path: "/books/" + i + "/author/first_name", value: "Renamed " + i }));
+            let finds = 0;
+            mongoose.set('debug', (collection, method) => { if(method == 'find') finds++; });
+            try {
+                series = await Series.findOne({_id: series._id});
+                finds = 0;
+                await series.jsonPatch(patch);
+            }
+            finally {
+                mongoose.set('debug', false);
+            }
+            //one for the books and one for their authors, with just the fields the patch needs, then both again in full once they're saved
+            assert.equal(finds, 4);
+            assert.equal(series.books[0].author.last_name, "Writer");
+
+            let authors = await Author.find({last_name: "Writer"}).sort({first_name: 1});
+            assert.equal(authors.length, 20);
+            assert(authors.every(author => author.first_name.startsWith("Renamed ")));
+        });
+
+        it("should walk the paths again after an operation moves array elements", async () => {
+            series = await Series.findOne({_id: series._id}).populate('books');
+            let second_author = series.books[1].author;
+            await series.jsonPatch([
+                { op: "replace", path: "/books/0/name", value: "Renamed" },
+                { op: "remove", path: "/books/0" },
+                { op: "replace", path: "/books/0/author/first_name", value: "Now First" }
+            ]);
+            let author = await Author.findOne({_id: second_author});
+            assert.equal(author.first_name, "Now First");
+        });
+    });
+
+    describe("diff", () => {
+        it("should generate a patch that transforms one document into another", async () => {
+            let author = await Author.findOne({_id: author_id});
+            let coauthor = await Author.findOne({_id: coauthor_id});
+            coauthor.phone_numbers.push("333-333-3333");
+            coauthor.email_address = "clay@example.com";
+            coauthor.last_name = undefined;
+            let patch = author.jsonDiff(coauthor);
+            await author.jsonPatch(patch);
+            author = await Author.findOne({_id: author_id});
+            assert.deepStrictEqual(author.jsonDiff(coauthor), []);
+            assert.equal(author.first_name, "Clay");
+            assert.strictEqual(author.last_name, undefined);
+            assert.equal(author.phone_numbers[2], "333-333-3333");
+        });
+
+        it("should treat a populated ref as equal to its id", async () => {
+            let book = await Book.findOne({_id: book_id});
+            let populated_book = await Book.findOne({_id: book_id}).populate("author");
+            assert.deepStrictEqual(book.jsonDiff(populated_book), []);
+            populated_book.author = coauthor_id;
+            assert.deepStrictEqual(book.jsonDiff(populated_book), [
+                { op: "replace", path: "/author", value: coauthor_id.toString() }
+            ]);
+        });
+
+        it("should patch subdocuments in place and replace ones with a different _id", async () => {
+            let book = await Book.findOne({_id: book_id});
+            book.collaborators.push({ gets_credit: true, author: collaborator_id });
+            await book.save();
+            let other = await Book.findOne({_id: book_id});
+            other.collaborators[0].gets_credit = false;
+            other.collaborators.push({ gets_credit: true, author: coauthor_id });
+            let patch = generatePatch(book, other);
+            assert.deepStrictEqual(patch, [
+                { op: "replace", path: "/collaborators/0/gets_credit", value: false },
+                { op: "add", path: "/collaborators/-", value: {
+                    gets_credit: true,
+                    author: coauthor_id.toString(),
+                    _id: other.collaborators[1]._id.toString()
+                }}
+            ]);
+            await book.jsonPatch(patch);
+            book = await Book.findOne({_id: book_id});
+            assert.deepStrictEqual(generatePatch(book, other), []);
+        });
+    });
+
     describe("working without autopopulate", () => {
         it("should perform basic operations without autopopulate", async () => {
             let author = await Author.findOne({_id: author_id});
@@ -0,0 +1,178 @@
+/*
+ *   Copyright (c) 2020 Ratio Software, LLC
+ *   All rights reserved.
+ *   @author Clayton Gulick <clay@ratiosoftware.com>
+ */
+
+/**
+ * Rebase a patch onto another patch, so it can be applied after the other patch was applied to the same document.
+ *
+ * Both patches must have been made against the same version of the document. Array indices are shifted to account for
+ * elements inserted, removed or moved by the other patch, paths into a value that was moved follow it to its new location,
+ * and operations on a value that was removed or replaced by the other patch are dropped, since what they changed is gone.
+ * When both patches insert at the same array index, the other patch's element goes first.
+ *
+ * This works on the pointers alone, without the schema, so a path part that's all digits is always treated as an array index.
+ *
+ * The same applies to inverse patches: to undo a patch after other patches have been applied on top of it, transform its
+ * inverse against the patches that came later.
+ * @param {Array} patch the patch to rebase
+ * @param {Array} against the patch that was applied first
+ * @returns {Array} a new patch, the original is unchanged
+ */
+function transform(patch, against) {
+    return transformLists(patch, against)[0];
+}
+
+/**
+ * Transform two lists of operations against each other.
+ * Returns [a', b'] where a' applies after b, and b' applies after a. Operations later in a list were made after the earlier
+ * ones were applied, so each operation is transformed against the other list as it's seen by that operation.
+ * @param {Array} a
+ * @param {Array} b
+ */
+function transformLists(a, b) {
+    if(!a.length || !b.length)
+        return [a, b];
+    if(a.length > 1) {
+        let [first, b1] = transformLists(a.slice(0, 1), b);
+        let [rest, b2] = transformLists(a.slice(1), b1);
+        return [first.concat(rest), b2];
+    }
+    if(b.length > 1) {
+        let [a1, first] = transformLists(a, b.slice(0, 1));
+        let [a2, rest] = transformLists(a1, b.slice(1));
+        return [a2, first.concat(rest)];
+    }
+    return [
+        transformOperation(a[0], b[0], false),
+        transformOperation(b[0], a[0], true)
+    ];
+}
+
+/**
+ * Transform a single operation so it applies after against was applied.
+ * Returns a list with the transformed operation, or an empty list if it was dropped.
+ * @param {*} item
+ * @param {*} against
+ * @param {Boolean} first true if item wins a tie between inserts at the same array index
+ */
+function transformOperation(item, against, first) {
+    let result = Object.assign({}, item);
+    for(let key of ['path', 'from']) {
+        if(typeof item[key] != 'string')
+            continue;
+        let parts = transformPath(parse(item[key]), key == 'path' ? item.op : null, against, first);
+        if(!parts)
+            return [];
+        result[key] = format(parts);
+    }
+    return [result];
+}
+
+/**
+ * Transform one of the pointers of an operation, returning the new parts, or null if the operation should be dropped.
+ * @param {Array} parts
+ * @param {String} op the operation, if parts is its path rather than its from
+ * @param {*} against
+ * @param {Boolean} first
+ */
+function transformPath(parts, op, against, first) {
+    switch(against.op) {
+        case 'add':
+        case 'copy':
+            return added(parts, op, parse(against.path), first);
+        case 'replace':
+            return isDescendant(parse(against.path), parts) ? null : parts;
+        case 'remove':
+            return removed(parts, op, parse(against.path));
+        case 'move': {
+            let from = parse(against.from);
+            let path = parse(against.path);
+            //the moved value is still reachable, at its new location
+            if(isPrefix(from, parts) && !(op == 'add' && parts.length == from.length)) {
+                if(path[path.length - 1] == '-')
+                    return null;
+                return path.concat(parts.slice(from.length));
+            }
+            parts = removed(parts, op, from);
+            return parts && added(parts, op, path, first);
+        }
+        default:
+            return parts;
+    }
+}
+
+/**
+ * Adjust a path for a value added at target: later array elements move up by one, and anything inside a value that was
+ * overwritten is dropped.
+ */
+function added(parts, op, target, first) {
+    let last = target[target.length - 1];
+    if(last == '-')
+        return parts;
+    if(!isIndex(last))
+        return isDescendant(target, parts) ? null : parts;
+    let parent = target.slice(0, -1);
+    if(!isPrefix(parent, parts) || (parts.length == parent.length) || !isIndex(parts[parent.length]))
+        return parts;
+    let index = parseInt(parts[parent.length]);
+    let inserted = parseInt(last);
+    //two inserts at the same index, the one that goes first keeps it
+    let tie = (op == 'add') && (parts.length == target.length) && (index == inserted);
+    if(index > inserted || (index == inserted && !(tie && first)))
+        return shift(parts, parent.length, 1);
+    return parts;
+}
+
+/**
+ * Adjust a path for a value removed at target: operations on or inside the removed value are dropped, except for an add
+ * that puts something back at the same place, and later array elements move down by one.
+ */
+function removed(parts, op, target) {
+    if(isPrefix(target, parts)) {
+        if(op == 'add' && parts.length == target.length)
+            return parts;
+        return null;
+    }
+    let last = target[target.length - 1];
+    if(!isIndex(last))
+        return parts;
+    let parent = target.slice(0, -1);
+    if(!isPrefix(parent, parts) || !isIndex(parts[parent.length]))
+        return parts;
+    if(parseInt(parts[parent.length]) > parseInt(last))
+        return shift(parts, parent.length, -1);
+    return parts;
+}
+
+function shift(parts, position, delta) {
+    let result = parts.slice();
+    result[position] = String(parseInt(parts[position]) + delta);
+    return result;
+}
+
+function isIndex(part) {
+    return /^\d+$/.test(part);
+}
+
+function isPrefix(prefix, parts) {
+    return (prefix.length <= parts.length) && prefix.every((part, i) => part == parts[i]);
+}
+
+function isDescendant(ancestor, parts) {
+    return (ancestor.length < parts.length) && isPrefix(ancestor, parts);
+}
+
+/**
+ * The parts stay escaped, they're only compared and put back together
+ */
+function parse(pointer) {
+    return pointer.split('/').slice(1);
+}
+
+function format(parts) {
+    return parts.map(part => '/' + part).join('');
+}
+
+module.exports = transform;
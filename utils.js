@@ -0,0 +1,99 @@
+/*
+ *   Copyright (c) 2020 Ratio Software, LLC
+ *   All rights reserved.
+ *   @author Clayton Gulick <clay@ratiosoftware.com>
+ */
+const mongoose = require('mongoose');
+
+/**
+ * Convert a value read from a mongoose document into a plain JSON value that can be used in a patch operation.
+ * Populated refs are collapsed back to their id, ObjectIds become strings and Dates become ISO strings.
+ * The result is always a deep copy, so later changes to the document won't leak into it.
+ * @param {*} value
+ */
+function toJSONValue(value) {
+    if(value === null || typeof value === 'undefined')
+        return value;
+    if(value instanceof mongoose.Types.ObjectId)
+        return value.toString();
+    if(value instanceof Date)
+        return value.toISOString();
+    //a populated ref, we only care about the link
+    if(value instanceof mongoose.Model)
+        return toJSONValue(value._id);
+    if(value instanceof mongoose.Types.Decimal128)
+        return value.toString();
+    //subdocs and mongoose arrays
+    if(typeof value.toObject == 'function')
+        value = value.toObject({depopulate: true, transform: false, virtuals: false, getters: false});
+    if(value instanceof Map)
+        value = Object.fromEntries(value);
+    if(Array.isArray(value))
+        return value.map(toJSONValue);
+    if(typeof value == 'object') {
+        let result = {};
+        for(let key of Object.keys(value))
+            result[key] = toJSONValue(value[key]);
+        return result;
+    }
+    return value;
+}
+
+function isObject(value) {
+    return (value !== null) && (typeof value == 'object') && !Array.isArray(value);
+}
+
+/**
+ * An object literal, as opposed to an ObjectId, a Date, a document or any other class instance
+ * @param {*} value
+ */
+function isPlainObject(value) {
+    if(!isObject(value))
+        return false;
+    let prototype = Object.getPrototypeOf(value);
+    return (prototype === Object.prototype) || (prototype === null);
+}
+
+/**
+ * Deep copy the arrays and object literals in a value, anything else is kept as it is
+ * @param {*} value
+ */
+function clonePlain(value) {
+    if(Array.isArray(value))
+        return value.map(clonePlain);
+    if(!isPlainObject(value))
+        return value;
+    let result = {};
+    for(let key of Object.keys(value))
+        result[key] = clonePlain(value[key]);
+    return result;
+}
+
+/**
+ * Deep equality for json values, undefined object members are treated as missing.
+ * Values should be normalized with toJSONValue first.
+ * @param {*} a
+ * @param {*} b
+ */
+function isEqual(a, b) {
+    if(a === b)
+        return true;
+    if(Array.isArray(a) && Array.isArray(b))
+        return (a.length == b.length) && a.every((value, i) => isEqual(value, b[i]));
+    if(isObject(a) && isObject(b)) {
+        let a_keys = Object.keys(a).filter(key => typeof a[key] != 'undefined');
+        let b_keys = Object.keys(b).filter(key => typeof b[key] != 'undefined');
+        if(a_keys.length != b_keys.length)
+            return false;
+        return a_keys.every(key => isEqual(a[key], b[key]));
+    }
+    return false;
+}
+
+module.exports = {
+    toJSONValue,
+    isObject,
+    isPlainObject,
+    clonePlain,
+    isEqual
+};